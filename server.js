@@ -12,6 +12,10 @@ import { pollCapFeeds } from "./src/services/capPoller.mjs";
 import { pollNewsAPI } from "./src/services/socialNewsPoller.mjs";
 import { pollGDELT } from "./src/services/gdeltPoller.mjs";
 import { ensureIndexes } from "./src/db/indexes.mjs";
+import { drainNotificationOutbox } from "./src/services/notificationOutbox.js";
+import { flushDueDigests } from "./src/services/notificationDigest.js";
+import { backfillDeviceTokens, pruneStaleDeviceTokens } from "./src/services/deviceTokens.js";
+import { authenticate } from "./src/middleware/auth.js";
 
 import helpRoutes from "./src/routes/helpRequests.js";
 import offerRoutes from "./src/routes/offers.js";
@@ -20,6 +24,15 @@ import alertRoutes from "./src/routes/alertsCap.js";
 import socialRoutes from "./src/routes/socialSignals.js";
 import userRoutes from "./src/routes/user.js";
 import followRouter from "./src/routes/follow.js";
+import adminRoutes from "./src/routes/admin.js";
+import matchRoutes from "./src/routes/matches.js";
+import mapRoutes from "./src/routes/map.js";
+import streamRoutes from "./src/routes/stream.js";
+import tileRoutes from "./src/routes/tiles.js";
+import exportRoutes from "./src/routes/export.js";
+import capFeedRoutes from "./src/routes/capFeed.js";
+import reportRoutes from "./src/routes/reports.js";
+import moderationRoutes from "./src/routes/moderation.js";
 
 import "./src/services/notifications.js";
 import "dotenv/config";
@@ -30,6 +43,10 @@ dotenv.config();
 // 🧭 Express App Setup
 // ---------------------------------------------------------------------------
 const app = express();
+// No proxy trusted by default: otherwise req.ip (and the IP rate limit
+// buckets) would come from a client-supplied X-Forwarded-For. Deployments
+// behind a load balancer (Render/Heroku: 1) set TRUST_PROXY_HOPS.
+app.set("trust proxy", Number(process.env.TRUST_PROXY_HOPS || 0));
 app.use(express.json());
 app.use(cors());
 
@@ -76,14 +93,19 @@ app.use((req, res, next) => {
 // ---------------------------------------------------------------------------
 // 📍 Core geospatial indexes
 // ---------------------------------------------------------------------------
+// sent_events used to expire 120s after lastSentAt, which cut longer send
+// guards short; expiry now follows each guard's own expiresAt.
+await db.collection("sent_events").dropIndex("lastSentAt_1").catch(() => {});
+
 await Promise.all([
   db.collection("hazards").createIndex({ geometry: "2dsphere" }),
   db.collection("alerts_cap").createIndex({ geometry: "2dsphere" }),
+  db.collection("alerts_cap").createIndex({ footprint: "2dsphere" }),
   db.collection("help_requests").createIndex({ location: "2dsphere" }),
   db.collection("offer_help").createIndex({ location: "2dsphere" }),
   db.collection("sent_events").createIndex(
-    { lastSentAt: 1 },
-    { expireAfterSeconds: 120 }
+    { expiresAt: 1 },
+    { expireAfterSeconds: 0 }
   ),
 ]);
 console.log("✅ Geospatial indexes ensured");
@@ -205,6 +227,14 @@ try {
               },
             },
           },
+          footprint: {
+            bsonType: "object",
+            required: ["type", "coordinates"],
+            properties: {
+              type: { enum: ["Polygon", "MultiPolygon"] },
+              coordinates: { bsonType: "array", minItems: 1 },
+            },
+          },
         },
       },
     },
@@ -216,16 +246,22 @@ try {
 }
 
 // ---------------------------------------------------------------------------
-// 📰 Social/news indexes
+// 📰 Social/news + alert thread indexes
 // ---------------------------------------------------------------------------
 await ensureIndexes();
-console.log("✅ Social/news indexes ensured");
+console.log("✅ Social/news + alert thread indexes ensured");
+await backfillDeviceTokens();
 
 // Optional CAP pruning
 await db.collection("alerts_cap").deleteMany({
   sent: { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) },
 });
 
+// ---------------------------------------------------------------------------
+// 🔐 Firebase ID token auth (AUTH_MODE: migration | required | off)
+// ---------------------------------------------------------------------------
+app.use("/api", authenticate);
+
 // ---------------------------------------------------------------------------
 // 🧭 API Routes
 // ---------------------------------------------------------------------------
@@ -235,6 +271,15 @@ app.use("/api/hazards", hazardRoutes);
 app.use("/api/alerts-cap", alertRoutes);
 app.use("/api/social-signals", socialRoutes);
 app.use("/api/user", userRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/matches", matchRoutes);
+app.use("/api/map", mapRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/tiles", tileRoutes);
+app.use("/api", exportRoutes);
+app.use("/api/cap", capFeedRoutes);
+app.use("/api/reports", reportRoutes);
+app.use("/api/moderation", moderationRoutes);
 app.use("/api", followRouter);
 
 // ---------------------------------------------------------------------------
@@ -282,6 +327,7 @@ app.use(async (err, req, res, _next) => {
 cron.schedule("0 2 * * *", async () => {
   console.log("⏱️ Scheduled cleanup starting...");
   await runCleanup();
+  await pruneStaleDeviceTokens();
 });
 
 // ---------------------------------------------------------------------------
@@ -290,6 +336,7 @@ cron.schedule("0 2 * * *", async () => {
 setTimeout(() => pollCapFeeds(), 5000);
 setTimeout(() => pollNewsAPI(), 8000);
 setTimeout(() => pollGDELT(), 10000);
+setTimeout(() => drainNotificationOutbox(), 3000);
 
 // ---------------------------------------------------------------------------
 // ⏱️ Recurring pollers
@@ -299,6 +346,10 @@ cron.schedule("*/15 * * * *", async () => {
   await pollNewsAPI();
   await pollGDELT();
 });
+// Push outbox: retries + anything left by a crashed instance
+cron.schedule("*/15 * * * * *", drainNotificationOutbox);
+// Notification digests that are due
+cron.schedule("* * * * *", flushDueDigests);
 
 // ---------------------------------------------------------------------------
 // 🚀 Start Server
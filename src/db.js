@@ -8,7 +8,7 @@ let db;
 export async function connectDB() {
   try {
     await client.connect();
-    db = client.db("disaster_help");
+    db = client.db(process.env.MONGO_DB_NAME || "disaster_help");
     console.log("✅ Connected to MongoDB Atlas");
   } catch (err) {
     console.error("MongoDB connection error:", err);
@@ -20,3 +20,8 @@ export function getDB() {
   if (!db) throw new Error("Database not connected!");
   return db;
 }
+
+export async function closeDB() {
+  await client.close();
+  db = undefined;
+}
@@ -1,8 +1,160 @@
 import { getDB } from "../db.js";
+import { NOTIFY_LOG_RETENTION_SECONDS } from "../services/notificationOutbox.js";
+import { INBOX_RETENTION_SECONDS } from "../services/notificationInbox.js";
+
+/**
+ * Legacy users.lastLocation { lat, lng } → GeoJSON Point, so the 2dsphere
+ * index can be built. Out-of-range legacy values are dropped (the app
+ * re-sends its location on the next foreground).
+ */
+async function migrateUserLocations(db) {
+  const users = db.collection("users");
+
+  const migrated = await users.updateMany(
+    {
+      "lastLocation.lat": { $type: "number", $gte: -90, $lte: 90 },
+      "lastLocation.lng": { $type: "number", $gte: -180, $lte: 180 },
+    },
+    [
+      {
+        $set: {
+          lastLocation: {
+            type: "Point",
+            coordinates: ["$lastLocation.lng", "$lastLocation.lat"],
+          },
+        },
+      },
+    ]
+  );
+  const dropped = await users.updateMany(
+    { "lastLocation.type": { $ne: "Point" }, lastLocation: { $exists: true } },
+    { $unset: { lastLocation: "" } }
+  );
+  if (migrated.modifiedCount || dropped.modifiedCount)
+    console.log(
+      `📍 users.lastLocation → GeoJSON: ${migrated.modifiedCount} migrated, ${dropped.modifiedCount} invalid dropped`
+    );
+}
+
+/**
+ * Help requests resolved before the status workflow only have
+ * resolved: true (status stayed "open"); give them status "resolved".
+ */
+async function migrateResolvedHelpRequests(db) {
+  const r = await db.collection("help_requests").updateMany(
+    { resolved: true, status: { $nin: ["resolved", "cancelled"] } },
+    [
+      {
+        $set: {
+          status: "resolved",
+          "statusTimestamps.resolved": { $ifNull: ["$resolvedAt", "$$NOW"] },
+        },
+      },
+    ]
+  );
+  if (r.modifiedCount)
+    console.log(`🗂️ help_requests: ${r.modifiedCount} legacy resolved requests → status "resolved"`);
+}
+
 export async function ensureIndexes() {
   const db = getDB();
+
+  // Geofenced pushes select users with $geoNear / $geoWithin
+  await migrateUserLocations(db);
+  await db.collection("users").createIndex({ lastLocation: "2dsphere" });
+
   const col = db.collection("social_signals");
   await col.createIndex({ expires: 1 }, { expireAfterSeconds: 0 });
   await col.createIndex({ geometry: "2dsphere" });
   await col.createIndex({ url: 1 }, { unique: true });
+  await col.createIndex({ publishedAt: -1, _id: -1 }); // cursor paging
+
+  // CAP alert threading (Update / Cancel lookups + history)
+  const alerts = db.collection("alerts_cap");
+  await alerts.createIndex({ identifier: 1 });
+  await alerts.createIndex({ threadId: 1, sent: 1 });
+  await alerts.createIndex({ "references.identifier": 1 });
+  await alerts.createIndex({ sent: -1, _id: -1 }); // cursor paging
+
+  // Help request ↔ offer matches
+  const matches = db.collection("matches");
+  await matches.createIndex({ help_request_id: 1, offer_id: 1 }, { unique: true });
+  await matches.createIndex({ requester_id: 1, updatedAt: -1 });
+  await matches.createIndex({ offerer_id: 1, updatedAt: -1 });
+
+  await migrateResolvedHelpRequests(db);
+
+  // ?sort=credibility on the post lists
+  for (const name of ["hazards", "help_requests", "offer_help"])
+    await db.collection(name).createIndex({ "credibility.score": -1, _id: -1 });
+
+  // Content reports (one per item + reporter) and the moderation queue
+  const reports = db.collection("reports");
+  await reports.createIndex({ collection: 1, targetId: 1, reporterId: 1 }, { unique: true });
+  await reports.createIndex({ status: 1, createdAt: -1 });
+
+  // Rate limit buckets expire once they would be full again
+  await db.collection("rate_limits").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  await db
+    .collection("rate_limit_allowlist")
+    .createIndex({ kind: 1, value: 1 }, { unique: true });
+
+  // Push token registry (one record per token)
+  const devices = db.collection("device_tokens");
+  await devices.createIndex({ token: 1 }, { unique: true });
+  await devices.createIndex({ user_id: 1, lastSeenAt: -1 });
+  await devices.createIndex({ user_id: 1, deviceId: 1 });
+  await devices.createIndex({ lastSeenAt: 1 });
+
+  // Push outbox: worker claims due entries; per-token delivery log
+  const outbox = db.collection("notification_outbox");
+  await outbox.createIndex({ status: 1, nextAttemptAt: 1 });
+  await outbox.createIndex(
+    { dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: "string" } } }
+  );
+  await outbox.createIndex({ createdAt: 1 }, { expireAfterSeconds: NOTIFY_LOG_RETENTION_SECONDS });
+  const deliveries = db.collection("notification_deliveries");
+  await deliveries.createIndex({ notificationId: 1, status: 1, _id: 1 });
+  await deliveries.createIndex({ notificationId: 1, createdAt: -1, _id: -1 });
+  await deliveries.createIndex({ createdAt: 1 }, { expireAfterSeconds: NOTIFY_LOG_RETENTION_SECONDS });
+
+  // In-app notification inbox (newest first per user, unread badge)
+  const inbox = db.collection("notification_inbox");
+  await inbox.createIndex({ user_id: 1, createdAt: -1, _id: -1 });
+  await inbox.createIndex({ user_id: 1, read: 1, createdAt: -1, _id: -1 });
+  await inbox.createIndex(
+    { user_id: 1, key: 1 },
+    { unique: true, partialFilterExpression: { key: { $type: "string" } } }
+  );
+  await inbox.createIndex({ createdAt: 1 }, { expireAfterSeconds: INBOX_RETENTION_SECONDS });
+
+  // Pending notification digests (one per user, flushed when due)
+  const digests = db.collection("notification_digests");
+  await digests.createIndex({ user_id: 1 }, { unique: true });
+  await digests.createIndex({ dueAt: 1 });
+
+  // PUSH_PROVIDER=capture: recorded pushes (local development)
+  await db
+    .collection("push_captures")
+    .createIndex({ capturedAt: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+  await db
+    .collection("channel_captures")
+    .createIndex({ capturedAt: 1 }, { expireAfterSeconds: 7 * 24 * 3600 });
+
+  // SMS/email fallback: one per (event, user, channel)
+  const fallback = db.collection("fallback_deliveries");
+  await fallback.createIndex({ dedupeKey: 1, user_id: 1, channel: 1 }, { unique: true });
+  await fallback.createIndex({ user_id: 1, createdAt: -1 });
+  await fallback.createIndex({ createdAt: 1 }, { expireAfterSeconds: NOTIFY_LOG_RETENTION_SECONDS });
+
+  // Pending phone/email verification codes
+  const verifications = db.collection("contact_verifications");
+  await verifications.createIndex({ user_id: 1, channel: 1 }, { unique: true });
+  await verifications.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  // Moderation audit trail
+  const audit = db.collection("audit_log");
+  await audit.createIndex({ collection: 1, docId: 1, timestamp: -1 });
+  await audit.createIndex({ actorId: 1, timestamp: -1 });
 }
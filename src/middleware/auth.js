@@ -0,0 +1,60 @@
+// src/middleware/auth.js
+import admin from "../services/firebaseAdmin.js";
+
+/**
+ * Firebase ID token authentication.
+ *
+ * Clients send `Authorization: Bearer <Firebase ID token>`; on success
+ * req.user = { uid, email, claims } and routes take user_id from req.user.uid.
+ *
+ * AUTH_MODE (env):
+ *  - "migration" (default) anonymous reads allowed, writes need a valid token
+ *  - "required"            every /api request needs a valid token
+ *  - "off"                 legacy: trust user_id from body/query (no token)
+ *
+ * A token that is present but invalid is always rejected with 401.
+ */
+const AUTH_MODE = String(process.env.AUTH_MODE || "migration").toLowerCase();
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+export async function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+
+  if (match) {
+    try {
+      const decoded = await admin.auth().verifyIdToken(match[1].trim());
+      req.user = {
+        uid: decoded.uid,
+        email: decoded.email || null,
+        claims: decoded,
+      };
+      return next();
+    } catch (err) {
+      console.warn(`[AUTH] ❌ Token rejected (${req.method} ${req.originalUrl}):`, err.code || err.message);
+      return res.status(401).json({ error: "Invalid or expired ID token." });
+    }
+  }
+
+  req.user = null;
+
+  if (AUTH_MODE === "off") {
+    const legacyId = req.body?.user_id || req.query?.user_id;
+    if (legacyId) req.user = { uid: String(legacyId), legacy: true };
+    return next();
+  }
+
+  if (AUTH_MODE === "migration" && READ_METHODS.has(req.method)) return next();
+
+  return res.status(401).json({ error: "Authentication required." });
+}
+
+/**
+ * Route guard for handlers that need an identity even on reads
+ * (e.g. GET /api/user/me in migration mode).
+ */
+export function requireUser(req, res, next) {
+  if (!req.user?.uid)
+    return res.status(401).json({ error: "Authentication required." });
+  next();
+}
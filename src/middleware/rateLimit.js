@@ -0,0 +1,156 @@
+// src/middleware/rateLimit.js
+import { getDB } from "../db.js";
+
+/**
+ * Token-bucket rate limits stored in Mongo (rate_limits), so every
+ * instance shares the same buckets. Each request spends one token from
+ * the caller's user bucket (when signed in) and from its IP bucket;
+ * buckets refill continuously up to their capacity.
+ *
+ * Routes that fan out pushes (new posts, comments, test pushes) get the
+ * tightest policies. Allowlisted users/IPs (rate_limit_allowlist, managed
+ * under /api/admin/rate-limits) skip limiting entirely, e.g. responders
+ * bulk-posting during an incident.
+ *
+ * Blocked → 429 + Retry-After (seconds). Mongo errors fail open.
+ *
+ * Env knobs:
+ *  - RATE_LIMIT_ENABLED=true|false
+ */
+
+const RATE_LIMIT_ENABLED =
+  String(process.env.RATE_LIMIT_ENABLED ?? "true").toLowerCase() !== "false";
+const ALLOWLIST_CACHE_MS = 60_000;
+
+// capacity = burst size, perHour = sustained rate
+export const RATE_LIMIT_POLICIES = {
+  post: { user: { capacity: 5, perHour: 20 }, ip: { capacity: 10, perHour: 40 } },
+  comment: { user: { capacity: 10, perHour: 60 }, ip: { capacity: 30, perHour: 120 } },
+  interaction: { user: { capacity: 30, perHour: 120 }, ip: { capacity: 60, perHour: 300 } },
+  report: { user: { capacity: 10, perHour: 30 }, ip: { capacity: 20, perHour: 60 } },
+  test_push: { user: { capacity: 3, perHour: 10 }, ip: { capacity: 5, perHour: 20 } },
+  contact_verify: { user: { capacity: 3, perHour: 6 }, ip: { capacity: 10, perHour: 30 } },
+};
+
+let allowlistCache = { users: new Set(), ips: new Set(), loadedAt: 0 };
+
+async function loadAllowlist() {
+  if (Date.now() - allowlistCache.loadedAt < ALLOWLIST_CACHE_MS) return allowlistCache;
+  const db = getDB();
+  const entries = await db.collection("rate_limit_allowlist").find({}).toArray();
+  allowlistCache = {
+    users: new Set(entries.filter((e) => e.kind === "user").map((e) => e.value)),
+    ips: new Set(entries.filter((e) => e.kind === "ip").map((e) => e.value)),
+    loadedAt: Date.now(),
+  };
+  return allowlistCache;
+}
+
+/** Drop the cached allowlist (after admin edits on this instance). */
+export function invalidateRateLimitAllowlist() {
+  allowlistCache.loadedAt = 0;
+}
+
+/**
+ * Spend one token from a bucket. Atomic per bucket (pipeline upsert).
+ * Returns { allowed, remaining, retryAfterSec }. Also used directly for
+ * non-HTTP caps (e.g. SMS/email fallback per user).
+ */
+export async function takeToken(key, { capacity, perHour }) {
+  const db = getDB();
+  const coll = db.collection("rate_limits");
+  const now = new Date();
+  const perMs = perHour / 3600_000;
+  const fullRefillMs = Math.ceil(capacity / perMs);
+
+  const update = [
+    {
+      $set: {
+        tokens: {
+          $min: [
+            capacity,
+            {
+              $add: [
+                { $ifNull: ["$tokens", capacity] },
+                {
+                  $multiply: [
+                    { $subtract: [now, { $ifNull: ["$updatedAt", now] }] },
+                    perMs,
+                  ],
+                },
+              ],
+            },
+          ],
+        },
+        updatedAt: now,
+      },
+    },
+    { $set: { allowed: { $gte: ["$tokens", 1] } } },
+    {
+      $set: {
+        tokens: { $cond: ["$allowed", { $subtract: ["$tokens", 1] }, "$tokens"] },
+        expiresAt: new Date(now.getTime() + fullRefillMs),
+      },
+    },
+  ];
+
+  let doc;
+  try {
+    doc = await coll.findOneAndUpdate({ _id: key }, update, {
+      upsert: true,
+      returnDocument: "after",
+    });
+  } catch (err) {
+    // Two instances creating the same bucket at once → retry as an update
+    if (err?.code !== 11000) throw err;
+    doc = await coll.findOneAndUpdate({ _id: key }, update, { returnDocument: "after" });
+  }
+
+  const tokens = doc?.tokens ?? capacity;
+  return {
+    allowed: doc?.allowed !== false,
+    remaining: Math.max(0, Math.floor(tokens)),
+    retryAfterSec: doc?.allowed === false ? Math.ceil((1 - tokens) / perMs / 1000) : 0,
+  };
+}
+
+/**
+ * Middleware factory: rateLimit("post") etc. (see RATE_LIMIT_POLICIES)
+ */
+export function rateLimit(policyName) {
+  const policy = RATE_LIMIT_POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy: ${policyName}`);
+
+  return async (req, res, next) => {
+    if (!RATE_LIMIT_ENABLED) return next();
+    try {
+      const uid = req.user?.uid || null;
+      const ip = req.ip || req.socket?.remoteAddress || "unknown";
+
+      const allow = await loadAllowlist();
+      if ((uid && allow.users.has(uid)) || allow.ips.has(ip)) return next();
+
+      const checks = [takeToken(`${policyName}:ip:${ip}`, policy.ip)];
+      if (uid) checks.push(takeToken(`${policyName}:user:${uid}`, policy.user));
+      const results = await Promise.all(checks);
+
+      res.set("X-RateLimit-Remaining", String(Math.min(...results.map((r) => r.remaining))));
+
+      const blocked = results.filter((r) => !r.allowed);
+      if (blocked.length) {
+        const retryAfter = Math.max(1, ...blocked.map((r) => r.retryAfterSec));
+        console.warn(`[RATE] ⛔ ${policyName} limited uid=${uid || "-"} ip=${ip} (${retryAfter}s)`);
+        res.set("Retry-After", String(retryAfter));
+        return res
+          .status(429)
+          .json({ error: "Too many requests. Please slow down.", retryAfter });
+      }
+
+      next();
+    } catch (err) {
+      // Fail-open: a limiter outage must not block emergency reports
+      console.error("❌ rateLimit failed:", err);
+      next();
+    }
+  };
+}
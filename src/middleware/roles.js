@@ -0,0 +1,89 @@
+// src/middleware/roles.js
+import { getDB } from "../db.js";
+
+/**
+ * Role model (users.role): "user" (default) | "moderator" | "admin".
+ * ADMIN_USER_IDS (comma-separated uids) bootstraps admins before any
+ * role has been written to Mongo.
+ */
+export const ROLES = ["user", "moderator", "admin"];
+
+const BOOTSTRAP_ADMINS = new Set(
+  String(process.env.ADMIN_USER_IDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+export async function getUserRole(uid) {
+  if (!uid) return null;
+  if (BOOTSTRAP_ADMINS.has(String(uid))) return "admin";
+
+  const db = getDB();
+  const u = await db
+    .collection("users")
+    .findOne({ user_id: String(uid) }, { projection: { role: 1 } });
+  return ROLES.includes(u?.role) ? u.role : "user";
+}
+
+export function isModerator(role) {
+  return role === "moderator" || role === "admin";
+}
+
+/**
+ * Author of the post, or a moderator/admin.
+ * Resolves req.user.role on first use so handlers can reuse it.
+ */
+export async function canManagePost(user, doc) {
+  if (!user?.uid || !doc) return false;
+  if (doc.user_id && String(doc.user_id) === String(user.uid)) return true;
+  if (!user.role) user.role = await getUserRole(user.uid);
+  return isModerator(user.role);
+}
+
+/**
+ * Route guard: caller must hold one of the given roles.
+ * Usage: router.use(requireRole("admin"))
+ */
+export function requireRole(...allowed) {
+  return async (req, res, next) => {
+    try {
+      if (!req.user?.uid)
+        return res.status(401).json({ error: "Authentication required." });
+
+      req.user.role = req.user.role || (await getUserRole(req.user.uid));
+      if (!allowed.includes(req.user.role))
+        return res.status(403).json({ error: "Insufficient role." });
+
+      next();
+    } catch (err) {
+      console.error("❌ requireRole failed:", err);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  };
+}
+
+/** Banned users (users.banned, set by moderation) may read but not write. */
+export async function isBanned(uid) {
+  if (!uid) return false;
+  const db = getDB();
+  const u = await db
+    .collection("users")
+    .findOne({ user_id: String(uid) }, { projection: { banned: 1 } });
+  return u?.banned === true;
+}
+
+/**
+ * Route guard for posting, commenting, voting and reporting.
+ * Anonymous callers pass through (routes decide whether they need a user).
+ */
+export async function requireNotBanned(req, res, next) {
+  try {
+    if (req.user?.uid && (await isBanned(req.user.uid)))
+      return res.status(403).json({ error: "Your account has been suspended." });
+    next();
+  } catch (err) {
+    console.error("❌ requireNotBanned failed:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+}
@@ -0,0 +1,30 @@
+// src/postTypes/hazards.js
+// Community-reported hazards (flooding, downed lines, blocked roads, ...)
+
+export default {
+  route: "hazards",
+  collection: "hazards",
+  geoField: "geometry",
+  comments: { collection: "hazard_comments", parentField: "hazard_id" },
+  archiveType: "hazard",
+
+  label: "hazard",
+  messages: {
+    notFound: "Hazard not found.",
+    confirmed: "A hazard was confirmed.",
+    disputed: "A hazard was disputed.",
+    followerResolved: "A followed hazard was resolved.",
+    resolved: "Hazard resolved.",
+    deleted: "Hazard deleted.",
+  },
+
+  notify: { nearbyTitle: "⚠️ New Hazard Reported Nearby" },
+
+  /** Type-specific document fields (body already validated) */
+  buildDoc({ type, types, message, details }) {
+    return {
+      types: Array.isArray(types) ? types : type ? [type] : ["Unspecified"],
+      message: details || message || "",
+    };
+  },
+};
@@ -0,0 +1,79 @@
+// src/postTypes/helpRequests.js
+// Requests for help; the only type with an emergency flag and a status
+// workflow (open → acknowledged → assigned → in_progress → resolved).
+
+import { proposeMatchesForRequest } from "../services/matching.js";
+import { mountRequestMatchRoutes } from "../routes/matches.js";
+import { mountStatusRoutes } from "../routes/helpRequestStatus.js";
+import { initialStatusFields, resolveTransition } from "../services/helpRequestStatus.js";
+
+export default {
+  route: "help-requests",
+  collection: "help_requests",
+  geoField: "location",
+  comments: { collection: "help_comments", parentField: "help_request_id" },
+  archiveType: "help_request",
+
+  label: "help request",
+  messages: {
+    notFound: "Help request not found.",
+    confirmed: "A help request was confirmed.",
+    disputed: "A help request was disputed.",
+    followerResolved: "A followed help request has been resolved.",
+    resolved: "Resolved.",
+    deleted: "Help request deleted.",
+  },
+
+  notify: { nearbyTitle: "🚨 Help Request Near You" },
+
+  validate({ emergency }) {
+    if (
+      emergency !== undefined &&
+      emergency !== null &&
+      ![true, false, "true", "false"].includes(emergency)
+    )
+      return "emergency must be a boolean.";
+    return null;
+  },
+
+  buildDoc({ type, types: incomingTypes, message, details: incomingDetails, emergency }) {
+    const types = Array.isArray(incomingTypes)
+      ? incomingTypes.filter(Boolean)
+      : type
+      ? [type]
+      : ["general"];
+    const details = incomingDetails || message || "";
+
+    return {
+      type: types[0] || "general",
+      types,
+      message: details,
+      details,
+      emergency: emergency === true || emergency === "true",
+      ...initialStatusFields(),
+    };
+  },
+
+  /** PATCH /:id/resolve goes through the workflow too: { update } | { error, status } */
+  resolveUpdate(doc, actorId) {
+    return resolveTransition(doc, actorId);
+  },
+
+  /** Extra list/near filters (?emergency=true) */
+  listFilters: { emergencyField: "emergency" },
+
+  /** Extra events_archive fields */
+  archiveFields(doc) {
+    return { emergency: doc.emergency === true };
+  },
+
+  /** Pair the new request with nearby open offers */
+  afterCreate(doc) {
+    return proposeMatchesForRequest(doc);
+  },
+
+  extendRouter(router, helpers) {
+    mountRequestMatchRoutes(router, helpers);
+    mountStatusRoutes(router, helpers);
+  },
+};
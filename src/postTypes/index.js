@@ -0,0 +1,31 @@
+// src/postTypes/index.js
+// Registry of user-created post types. Adding a type (shelters, road
+// closures, ...) = one declaration file here + one router file in routes/.
+
+import hazards from "./hazards.js";
+import helpRequests from "./helpRequests.js";
+import offers from "./offers.js";
+
+export const POST_TYPES = [hazards, helpRequests, offers];
+
+export function getPostTypeByCollection(collection) {
+  return POST_TYPES.find((t) => t.collection === collection) || null;
+}
+
+/** Accepts the route segment ("help-requests") or the collection name. */
+export function getPostType(name) {
+  return (
+    POST_TYPES.find((t) => t.route === name) ||
+    getPostTypeByCollection(name)
+  );
+}
+
+/** Posts/comments shown to the public: not soft-deleted, not hidden by moderation */
+export function visibleFilter() {
+  return { deleted: { $ne: true }, hidden: { $ne: true } };
+}
+
+/** Post type that owns a comment collection ("hazard_comments" → hazards) */
+export function getPostTypeByCommentCollection(collection) {
+  return POST_TYPES.find((t) => t.comments.collection === collection) || null;
+}
@@ -0,0 +1,29 @@
+// src/postTypes/offers.js
+// Offers of help (supplies, transport, shelter space, skills)
+
+export default {
+  route: "offers",
+  collection: "offer_help",
+  geoField: "location",
+  comments: { collection: "offer_comments", parentField: "offer_id" },
+  archiveType: "offer_help",
+
+  label: "offer",
+  messages: {
+    notFound: "Offer not found.",
+    confirmed: "An offer was confirmed.",
+    disputed: "An offer was disputed.",
+    followerResolved: "A followed offer was resolved.",
+    resolved: "Offer resolved.",
+    deleted: "Offer deleted.",
+  },
+
+  notify: { nearbyTitle: "💚 Offer to Help in Your Area" },
+
+  buildDoc({ type, types, message, details }) {
+    return {
+      types: Array.isArray(types) ? types : type ? [type] : ["Unspecified"],
+      message: details || message || "",
+    };
+  },
+};
@@ -0,0 +1,244 @@
+// src/routes/admin.js
+import express from "express";
+import { ObjectId } from "mongodb";
+import { getDB } from "../db.js";
+import { ROLES, requireRole } from "../middleware/roles.js";
+import { recordAudit } from "../services/auditLog.js";
+import { invalidateRateLimitAllowlist } from "../middleware/rateLimit.js";
+import { paginate } from "../utils/pagination.js";
+
+const router = express.Router();
+
+router.use(requireRole("admin"));
+
+/**
+ * PUT /api/admin/users/:user_id/role
+ * body: { role: "user" | "moderator" | "admin" }
+ */
+router.put("/users/:user_id/role", async (req, res) => {
+  try {
+    const { user_id } = req.params;
+    const { role } = req.body || {};
+    if (!ROLES.includes(role))
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(", ")}` });
+
+    const db = getDB();
+    const users = db.collection("users");
+    const before = await users.findOne(
+      { user_id },
+      { projection: { role: 1 } }
+    );
+
+    await users.updateOne(
+      { user_id },
+      {
+        $set: { role, updatedAt: new Date() },
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+
+    await recordAudit({
+      action: "role_change",
+      collection: "users",
+      docId: user_id,
+      actorId: req.user.uid,
+      actorRole: req.user.role,
+      meta: { from: before?.role || "user", to: role },
+    });
+
+    res.json({ ok: true, user_id, role });
+  } catch (e) {
+    console.error("❌ /admin role change failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/admin/audit?collection=hazards&docId=..&actorId=..&limit=100
+ * Newest first.
+ */
+router.get("/audit", async (req, res) => {
+  try {
+    const { collection, docId, actorId, action } = req.query;
+    const filter = {};
+    if (collection) filter.collection = String(collection);
+    if (docId) filter.docId = String(docId);
+    if (actorId) filter.actorId = String(actorId);
+    if (action) filter.action = String(action);
+
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+
+    const db = getDB();
+    const docs = await db
+      .collection("audit_log")
+      .find(filter)
+      .sort({ timestamp: -1 })
+      .limit(limit)
+      .toArray();
+
+    res.json(docs.map((d) => ({ ...d, _id: d._id.toString() })));
+  } catch (e) {
+    console.error("❌ /admin audit failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/admin/rate-limits/allowlist
+ * Users/IPs exempt from rate limits (responders, partner integrations).
+ */
+router.get("/rate-limits/allowlist", async (_req, res) => {
+  try {
+    const db = getDB();
+    const docs = await db
+      .collection("rate_limit_allowlist")
+      .find({})
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json(docs.map((d) => ({ ...d, _id: d._id.toString() })));
+  } catch (e) {
+    console.error("❌ /admin allowlist list failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PUT /api/admin/rate-limits/allowlist
+ * body: { kind: "user" | "ip", value, note? }
+ */
+router.put("/rate-limits/allowlist", async (req, res) => {
+  try {
+    const { kind, value, note } = req.body || {};
+    if (!["user", "ip"].includes(kind) || typeof value !== "string" || !value.trim())
+      return res.status(400).json({ error: "kind (user|ip) and value required" });
+
+    const db = getDB();
+    await db.collection("rate_limit_allowlist").updateOne(
+      { kind, value: value.trim() },
+      {
+        $set: { note: typeof note === "string" ? note : null, updatedAt: new Date() },
+        $setOnInsert: { addedBy: req.user.uid, createdAt: new Date() },
+      },
+      { upsert: true }
+    );
+    invalidateRateLimitAllowlist();
+
+    await recordAudit({
+      action: "rate_limit_allow",
+      collection: "rate_limit_allowlist",
+      docId: `${kind}:${value.trim()}`,
+      actorId: req.user.uid,
+      actorRole: req.user.role,
+      meta: { note: note || null },
+    });
+
+    res.json({ ok: true, kind, value: value.trim() });
+  } catch (e) {
+    console.error("❌ /admin allowlist add failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/admin/rate-limits/allowlist/:kind/:value
+ */
+router.delete("/rate-limits/allowlist/:kind/:value", async (req, res) => {
+  try {
+    const { kind, value } = req.params;
+    const db = getDB();
+    const r = await db.collection("rate_limit_allowlist").deleteOne({ kind, value });
+    if (!r.deletedCount) return res.status(404).json({ error: "Not on the allowlist" });
+    invalidateRateLimitAllowlist();
+
+    await recordAudit({
+      action: "rate_limit_disallow",
+      collection: "rate_limit_allowlist",
+      docId: `${kind}:${value}`,
+      actorId: req.user.uid,
+      actorRole: req.user.role,
+    });
+
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("❌ /admin allowlist remove failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+const DELIVERY_STATUSES = ["pending", "sent", "invalid", "failed"];
+
+/**
+ * GET /api/admin/notifications?status=&kind=&limit=&cursor=
+ * Push outbox entries, newest first (message + counts, no recipients).
+ */
+router.get("/notifications", async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) filter.status = String(req.query.status);
+    if (req.query.kind) filter.kind = String(req.query.kind);
+
+    const db = getDB();
+    const page = await paginate(db.collection("notification_outbox"), filter, {
+      query: req.query,
+      sortField: "createdAt",
+      defaultLimit: 50,
+      maxLimit: 200,
+    });
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json({
+      count: page.items.length,
+      items: page.items.map((d) => ({ ...d, _id: d._id.toString() })),
+      nextCursor: page.nextCursor,
+    });
+  } catch (e) {
+    console.error("❌ /admin notifications list failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/admin/notifications/:id?status=&limit=&cursor=
+ * One outbox entry + its per-token delivery log (who got it, message ids,
+ * error codes), paginated.
+ */
+router.get("/notifications/:id", async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) return res.status(400).json({ error: "Invalid id" });
+    const { status } = req.query;
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status))
+      return res
+        .status(400)
+        .json({ error: `status must be one of ${DELIVERY_STATUSES.join(", ")}` });
+
+    const db = getDB();
+    const notification = await db
+      .collection("notification_outbox")
+      .findOne({ _id: new ObjectId(id) });
+    if (!notification) return res.status(404).json({ error: "Not found" });
+
+    const page = await paginate(
+      db.collection("notification_deliveries"),
+      { notificationId: notification._id, ...(status ? { status } : {}) },
+      { query: req.query, sortField: "createdAt", defaultLimit: 200, maxLimit: 1000 }
+    );
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json({
+      notification: { ...notification, _id: notification._id.toString() },
+      deliveries: page.items.map((d) => ({
+        ...d,
+        _id: d._id.toString(),
+        notificationId: d.notificationId.toString(),
+      })),
+      nextCursor: page.nextCursor,
+    });
+  } catch (e) {
+    console.error("❌ /admin notification detail failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+export default router;
@@ -1,41 +1,161 @@
 import express from "express";
 import { getDB } from "../db.js";
 import { ObjectId } from "mongodb";
+import { buildListFilter, paginate } from "../utils/pagination.js";
+import { ALERT_LIST_SPEC, activeAlertFilter } from "../services/listSpecs.js";
 
 const router = express.Router();
 
+/**
+ * Filter + page alerts_cap for the list routes.
+ * Returns { count, alerts, nextCursor } or { error }.
+ */
+async function pageAlerts(req, baseFilter, { footprintByDefault = false } = {}) {
+  const { filter, error } = buildListFilter(req.query, ALERT_LIST_SPEC);
+  if (error) return { error };
+
+  const includeFootprint =
+    req.query.footprint === undefined
+      ? footprintByDefault
+      : String(req.query.footprint) === "true";
+  const page = await paginate(
+    getDB().collection("alerts_cap"),
+    { ...baseFilter, ...filter, ...activeAlertFilter() },
+    {
+      query: req.query,
+      sortField: "sent",
+      defaultLimit: 500,
+      maxLimit: 1000,
+      projection: includeFootprint ? undefined : { footprint: 0 },
+    }
+  );
+  if (page.error) return page;
+
+  return {
+    count: page.items.length,
+    alerts: page.items.map((a) => ({ ...a, _id: a._id.toString() })),
+    nextCursor: page.nextCursor,
+  };
+}
+
 /**
  * GET /api/alerts-cap
- * Returns recent CAP alerts that have valid geometry
+ * Returns recent CAP alerts that have valid geometry, newest first
+ * (cursor-paginated; see src/utils/pagination.js for filters).
+ * Footprint polygons are omitted unless ?footprint=true (keeps map payload small).
+ */
+router.get("/", async (req, res) => {
+  try {
+    // ✅ Only fetch alerts that have a geometry field
+    const page = await pageAlerts(req, { geometry: { $ne: null } });
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json(page);
+  } catch (error) {
+    console.error("❌ Error fetching CAP alerts:", error);
+    res.status(500).json({ error: "Failed to fetch CAP alerts." });
+  }
+});
+
+/**
+ * GET /api/alerts-cap/at?lat=..&lng=..
+ * Returns active alerts whose footprint polygon contains the point
+ * (same paging/filters as GET /).
  */
-router.get("/", async (_req, res) => {
+router.get("/at", async (req, res) => {
+  try {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    if (isNaN(lat) || isNaN(lng))
+      return res.status(400).json({ error: "Valid lat/lng required." });
+
+    const page = await pageAlerts(
+      req,
+      {
+        footprint: {
+          $geoIntersects: {
+            $geometry: { type: "Point", coordinates: [lng, lat] },
+          },
+        },
+      },
+      { footprintByDefault: true }
+    );
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json(page);
+  } catch (error) {
+    console.error("❌ Error fetching CAP alerts at point:", error);
+    res.status(500).json({ error: "Failed to fetch CAP alerts." });
+  }
+});
+
+/**
+ * Resolve an alert by _id (ObjectId or string) or by CAP identifier.
+ */
+async function findAlert(alerts, id, options = {}) {
+  let alert = null;
+
+  // 1️⃣ Try native ObjectId lookup
+  if (/^[0-9a-fA-F]{24}$/.test(id)) {
+    try {
+      const objId = new ObjectId(id);
+      alert = await alerts.findOne({ _id: objId }, options);
+      if (alert) console.log(`[CAP] ✅ Found by ObjectId: ${id}`);
+    } catch (err) {
+      console.warn(`[CAP] ⚠️ ObjectId lookup failed: ${err.message}`);
+    }
+  }
+
+  // 2️⃣ Fallback: if stored as string instead of ObjectId
+  if (!alert) {
+    alert = await alerts.findOne({ _id: id }, options);
+    if (alert) console.log(`[CAP] ✅ Found by string _id: ${id}`);
+  }
+
+  // 3️⃣ Fallback: match by CAP identifier field
+  if (!alert) {
+    alert = await alerts.findOne({ identifier: id }, options);
+    if (alert) console.log(`[CAP] ✅ Found by identifier: ${id}`);
+  }
+
+  return alert;
+}
+
+/**
+ * GET /api/alerts-cap/:id/history
+ * All messages (Alert / Update / Cancel) in the alert's thread, oldest first.
+ */
+router.get("/:id/history", async (req, res) => {
   try {
     const db = getDB();
     const alerts = db.collection("alerts_cap");
+    const { id } = req.params;
 
-    // ✅ Only fetch alerts that have a geometry field
-    const now = new Date();
-
-    const recent = await alerts
-      .find({
-        geometry: { $ne: null },
-        $or: [
-          { expires: { $gt: now } },      // normal case
-          { expires: { $exists: false } },// missing expires
-          { expires: null },              // null expires
-        ],
-      })
-      .sort({ expires: 1, sent: -1 })
-      .limit(500)
+    const alert = await findAlert(alerts, id, {
+      projection: { identifier: 1, threadId: 1 },
+    });
+    if (!alert) {
+      console.warn(`[CAP] ❌ Alert not found for: ${id}`);
+      return res.status(404).json({ error: "Alert not found" });
+    }
+
+    const threadId = alert.threadId || alert.identifier;
+    const history = await alerts
+      .find(
+        { $or: [{ threadId }, { identifier: threadId }] },
+        { projection: { footprint: 0 } }
+      )
+      .sort({ sent: 1 })
       .toArray();
 
     res.json({
-      count: recent.length,
-      alerts: recent.map((a) => ({ ...a, _id: a._id.toString() })),
+      threadId,
+      count: history.length,
+      alerts: history.map((a) => ({ ...a, _id: a._id.toString() })),
     });
   } catch (error) {
-    console.error("❌ Error fetching CAP alerts:", error);
-    res.status(500).json({ error: "Failed to fetch CAP alerts." });
+    console.error("❌ Error fetching CAP alert history:", error);
+    res.status(500).json({ error: "Failed to fetch CAP alert history." });
   }
 });
 
@@ -51,30 +171,7 @@ router.get("/:id", async (req, res) => {
 
     console.log(`[CAP] Lookup requested for ID: ${id}`);
 
-    let alert = null;
-
-    // 1️⃣ Try native ObjectId lookup
-    if (/^[0-9a-fA-F]{24}$/.test(id)) {
-      try {
-        const objId = new ObjectId(id);
-        alert = await alerts.findOne({ _id: objId });
-        if (alert) console.log(`[CAP] ✅ Found by ObjectId: ${id}`);
-      } catch (err) {
-        console.warn(`[CAP] ⚠️ ObjectId lookup failed: ${err.message}`);
-      }
-    }
-
-    // 2️⃣ Fallback: if stored as string instead of ObjectId
-    if (!alert) {
-      alert = await alerts.findOne({ _id: id });
-      if (alert) console.log(`[CAP] ✅ Found by string _id: ${id}`);
-    }
-
-    // 3️⃣ Fallback: match by CAP identifier field
-    if (!alert) {
-      alert = await alerts.findOne({ identifier: id });
-      if (alert) console.log(`[CAP] ✅ Found by identifier: ${id}`);
-    }
+    const alert = await findAlert(alerts, id);
 
     // 4️⃣ Still not found
     if (!alert) {
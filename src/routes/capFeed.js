@@ -0,0 +1,81 @@
+import express from "express";
+import { getDB } from "../db.js";
+import {
+  capXml,
+  capDate,
+  CAP_SENDER,
+  hazardToCapAlert,
+  verifiedHazardFilter,
+} from "../services/capFeed.js";
+
+const router = express.Router();
+
+const FEED_LIMIT = Number(process.env.CAP_FEED_LIMIT || 500);
+const ATOM_NS = "http://www.w3.org/2005/Atom";
+
+// Public base URL for links (env wins; proxies set x-forwarded-*)
+function baseUrl(req) {
+  if (process.env.PUBLIC_BASE_URL) return process.env.PUBLIC_BASE_URL.replace(/\/$/, "");
+  const proto = req.headers["x-forwarded-proto"] || req.protocol;
+  return `${proto}://${req.get("host")}`;
+}
+
+/**
+ * GET /api/cap/hazards.atom
+ * Atom feed with one entry per verified hazard; each entry's content is the
+ * hazard's latest CAP 1.2 <alert> (Alert, Update once resolved, Cancel
+ * once deleted). Soft-deleted hazards stay in the feed so subscribers get
+ * the Cancel.
+ */
+router.get("/hazards.atom", async (req, res) => {
+  try {
+    const db = getDB();
+    const hazards = await db
+      .collection("hazards")
+      .find(verifiedHazardFilter(), { projection: { votes: 0, voteTimes: 0 } })
+      .sort({ timestamp: -1 })
+      .limit(FEED_LIMIT)
+      .toArray();
+
+    const base = baseUrl(req);
+    const selfUrl = `${base}/api/cap/hazards.atom`;
+
+    const entries = hazards.map((h) => {
+      const { alert, current } = hazardToCapAlert(h, base);
+      return {
+        id: `urn:cap:${current.identifier}`,
+        title: alert.info.headline,
+        updated: capDate(current.sent),
+        author: { name: CAP_SENDER },
+        summary: alert.info.description,
+        link: { "@_rel": "alternate", "@_href": `${base}/api/hazards/${h._id}` },
+        content: { "@_type": "application/cap+xml", alert },
+      };
+    });
+
+    const updated = entries.reduce(
+      (max, e) => (e.updated > max ? e.updated : max),
+      capDate(new Date(0))
+    );
+
+    const feed = {
+      feed: {
+        "@_xmlns": ATOM_NS,
+        id: selfUrl,
+        title: "Disaster Help — verified community hazard reports (CAP 1.2)",
+        updated: hazards.length ? updated : capDate(new Date()),
+        link: { "@_rel": "self", "@_href": selfUrl },
+        generator: "disaster-help-backend",
+        entry: entries,
+      },
+    };
+
+    res.set("Content-Type", "application/atom+xml; charset=utf-8");
+    res.send('<?xml version="1.0" encoding="UTF-8"?>\n' + capXml.build(feed));
+  } catch (err) {
+    console.error("GET /api/cap/hazards.atom error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+export default router;
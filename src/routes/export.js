@@ -0,0 +1,255 @@
+import express from "express";
+import { XMLBuilder } from "fast-xml-parser";
+import { getDB } from "../db.js";
+import { parseBbox } from "../utils/geoUtils.js";
+import { buildListFilter } from "../utils/pagination.js";
+import { selectMapLayers, layerBboxFilter } from "../services/mapLayers.js";
+
+const router = express.Router();
+
+// Current incident picture: active hazards, open requests/offers, live alerts
+const DEFAULT_LAYERS = "hazards,help_requests,offer_help,alerts_cap";
+const MAX_FEATURES = Number(process.env.EXPORT_MAX_FEATURES || 50000);
+
+const xml = new XMLBuilder({ ignoreAttributes: false, attributeNamePrefix: "@_" });
+
+/**
+ * Per-layer Mongo filters from ?bbox, ?layers and the list-route filters
+ * (types, since/until, resolved, emergency, severity, source).
+ * A filter a layer has no field for drops that layer (e.g. emergency=true
+ * → help requests only). Returns { plan: [{ layer, filter }] } or { error }.
+ */
+function buildExportPlan(query) {
+  let bbox = null;
+  if (query.bbox !== undefined) {
+    bbox = parseBbox(query.bbox);
+    if (!bbox) return { error: "bbox must be minLon,minLat,maxLon,maxLat." };
+  }
+
+  const { layers, error } = selectMapLayers(query.layers || DEFAULT_LAYERS);
+  if (error) return { error };
+
+  const plan = [];
+  for (const layer of layers) {
+    const built = buildListFilter(query, layer.listSpec);
+    if (built.unsupported) continue;
+    if (built.error) return { error: built.error };
+
+    const clauses = [layer.baseFilter(), built.filter];
+    // Open posts only unless ?resolved= was given
+    if (layer.listSpec.resolvedField && query.resolved === undefined)
+      clauses.push({ [layer.listSpec.resolvedField]: { $ne: true } });
+    if (bbox) clauses.push(layerBboxFilter(layer, bbox));
+
+    plan.push({ layer, filter: { $and: clauses } });
+  }
+  return { plan };
+}
+
+// Text shown for a feature (popup / KML description)
+function describe(doc) {
+  return (
+    doc.details ||
+    doc.message ||
+    doc.info?.headline ||
+    doc.info?.description ||
+    doc.title ||
+    doc.description ||
+    ""
+  );
+}
+
+function featureGeometry(layer, doc) {
+  return (layer.name === "alerts_cap" && doc.footprint) || doc[layer.geoField];
+}
+
+/** Stable, flat properties for both formats */
+function featureProperties(layer, doc) {
+  return { ...layer.properties(doc), description: describe(doc) || null };
+}
+
+const clientGone = (req, res) => req.destroyed || res.destroyed;
+
+/**
+ * Iterate a plan's docs layer by layer, awaiting `write` (backpressure).
+ * Stops early (and closes the cursor) when the client disconnects.
+ */
+async function streamPlan(req, res, plan, onLayerStart, onDoc, onLayerEnd) {
+  const db = getDB();
+  for (const { layer, filter } of plan) {
+    if (clientGone(req, res)) return;
+    await onLayerStart(layer);
+    const cursor = db
+      .collection(layer.collection)
+      .find(filter, { projection: { votes: 0, voteTimes: 0 } })
+      .sort({ [layer.listSpec.timeField]: -1 })
+      .limit(MAX_FEATURES);
+    try {
+      for await (const doc of cursor) {
+        if (clientGone(req, res)) break;
+        if (!featureGeometry(layer, doc)) continue;
+        await onDoc(layer, doc);
+      }
+    } finally {
+      await cursor.close();
+    }
+    await onLayerEnd(layer);
+  }
+}
+
+// res.write honoring backpressure; settles on "close" too, so a client
+// disconnecting mid-export doesn't leave the handler waiting for "drain"
+function writer(res) {
+  return (chunk) => {
+    if (res.destroyed || res.write(chunk)) return Promise.resolve();
+    return new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.once("drain", done);
+      res.once("close", done);
+    });
+  };
+}
+
+/**
+ * GET /api/export.geojson
+ * FeatureCollection of every exported layer (property `layer` tells them
+ * apart). Streamed; top-level `generatedAt` + `filters` describe the export.
+ */
+router.get("/export.geojson", async (req, res) => {
+  const { plan, error } = buildExportPlan(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const generatedAt = new Date().toISOString();
+  const write = writer(res);
+  res.set({
+    "Content-Type": "application/geo+json",
+    "Content-Disposition": `attachment; filename="disaster-help-${generatedAt.slice(0, 10)}.geojson"`,
+  });
+
+  try {
+    await write(
+      `{"type":"FeatureCollection","generatedAt":${JSON.stringify(generatedAt)},` +
+        `"layers":${JSON.stringify(plan.map((p) => p.layer.name))},` +
+        `"filters":${JSON.stringify(req.query)},"features":[`
+    );
+
+    let first = true;
+    await streamPlan(
+      req,
+      res,
+      plan,
+      () => {},
+      (layer, doc) => {
+        const feature = {
+          type: "Feature",
+          id: String(doc._id),
+          geometry: featureGeometry(layer, doc),
+          properties: featureProperties(layer, doc),
+        };
+        const chunk = (first ? "" : ",") + JSON.stringify(feature);
+        first = false;
+        return write(chunk);
+      },
+      () => {}
+    );
+
+    if (!clientGone(req, res)) res.end("]}");
+  } catch (err) {
+    console.error("GET /api/export.geojson error:", err);
+    // Headers are gone once streaming starts; cut the body so it fails to parse
+    if (!res.headersSent) res.status(500).json({ error: "Internal server error." });
+    else res.destroy(err);
+  }
+});
+
+// GeoJSON geometry → KML geometry object (Point / Polygon / MultiGeometry)
+function kmlGeometry(geometry) {
+  const coords = (ring) => ring.map(([lng, lat]) => `${lng},${lat}`).join(" ");
+  const polygon = (rings) => ({
+    outerBoundaryIs: { LinearRing: { coordinates: coords(rings[0]) } },
+    ...(rings.length > 1
+      ? { innerBoundaryIs: rings.slice(1).map((r) => ({ LinearRing: { coordinates: coords(r) } })) }
+      : {}),
+  });
+
+  if (geometry.type === "Point")
+    return { Point: { coordinates: `${geometry.coordinates[0]},${geometry.coordinates[1]}` } };
+  if (geometry.type === "Polygon") return { Polygon: polygon(geometry.coordinates) };
+  if (geometry.type === "MultiPolygon")
+    return { MultiGeometry: { Polygon: geometry.coordinates.map(polygon) } };
+  return {};
+}
+
+const KML_FOLDER_NAMES = {
+  hazards: "Hazards",
+  help_requests: "Help Requests",
+  offer_help: "Offers of Help",
+  alerts_cap: "Official Alerts",
+  social_signals: "News Signals",
+};
+
+/**
+ * GET /api/export.kml
+ * KML Document with one Folder per layer; properties go to ExtendedData.
+ */
+router.get("/export.kml", async (req, res) => {
+  const { plan, error } = buildExportPlan(req.query);
+  if (error) return res.status(400).json({ error });
+
+  const generatedAt = new Date().toISOString();
+  const write = writer(res);
+  res.set({
+    "Content-Type": "application/vnd.google-earth.kml+xml",
+    "Content-Disposition": `attachment; filename="disaster-help-${generatedAt.slice(0, 10)}.kml"`,
+  });
+
+  try {
+    await write(
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+        xml.build({
+          name: "Disaster Help — incident picture",
+          description: `Generated ${generatedAt}`,
+          ExtendedData: { Data: { "@_name": "generatedAt", value: generatedAt } },
+        })
+    );
+
+    await streamPlan(
+      req,
+      res,
+      plan,
+      (layer) =>
+        write(`<Folder>${xml.build({ name: KML_FOLDER_NAMES[layer.name] || layer.name })}`),
+      (layer, doc) => {
+        const props = featureProperties(layer, doc);
+        const placemark = {
+          Placemark: {
+            "@_id": `${layer.name}-${doc._id}`,
+            name: props.headline || props.title || props.types || layer.name,
+            description: props.description || "",
+            ExtendedData: {
+              Data: Object.entries(props)
+                .filter(([, v]) => v != null)
+                .map(([k, v]) => ({ "@_name": k, value: String(v) })),
+            },
+            ...kmlGeometry(featureGeometry(layer, doc)),
+          },
+        };
+        return write(xml.build(placemark));
+      },
+      () => write("</Folder>")
+    );
+
+    if (!clientGone(req, res)) res.end("</Document></kml>");
+  } catch (err) {
+    console.error("GET /api/export.kml error:", err);
+    if (!res.headersSent) res.status(500).json({ error: "Internal server error." });
+    else res.destroy(err);
+  }
+});
+
+export default router;
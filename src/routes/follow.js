@@ -2,6 +2,8 @@ import express from "express";
 import { getDB } from "../db.js";
 import { ObjectId } from "mongodb";
 import { notifyFollowersOfUpdate } from "../services/notifications.js";
+import { getPostType, visibleFilter } from "../postTypes/index.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
@@ -13,37 +15,29 @@ router.get("/follow-test", (_req, res) => {
 });
 
 /**
- * Normalize collection names for MongoDB
+ * Normalize collection names for MongoDB (route segment or collection name)
  */
 function normalizeCollection(c) {
-  switch (c) {
-    case "offers":
-      return "offer_help";
-    case "help-requests":
-      return "help_requests";
-    case "hazards":
-      return "hazards";
-    default:
-      return c;
-  }
+  return getPostType(c)?.collection || null;
 }
 
 /**
  * PATCH /api/:collection/:id/follow
  * Toggles follow/unfollow for any post type.
  */
-router.all("/:collection/:id/follow", async (req, res) => {
+router.all("/:collection/:id/follow", rateLimit("interaction"), async (req, res) => {
   try {
     const { collection, id } = req.params;
-    const { user_id } = req.body || {};
-    if (!user_id) return res.status(400).json({ error: "user_id is required" });
+    const user_id = req.user?.uid;
+    if (!user_id) return res.status(401).json({ error: "Authentication required" });
 
     const db = getDB();
     const collName = normalizeCollection(collection);
+    if (!collName) return res.status(404).json({ error: "Unknown post type" });
     const coll = db.collection(collName);
 
     const _id = ObjectId.isValid(id) ? new ObjectId(id) : id;
-    const doc = await coll.findOne({ _id });
+    const doc = await coll.findOne({ _id, ...visibleFilter() });
     if (!doc) return res.status(404).json({ error: "Document not found" });
 
     const followers = doc.followers || [];
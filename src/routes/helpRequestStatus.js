@@ -0,0 +1,96 @@
+import { getDB } from "../db.js";
+import { getUserRole, isModerator } from "../middleware/roles.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { notifyFollowersOfUpdate } from "../services/notifications.js";
+import { recordAudit } from "../services/auditLog.js";
+import {
+  STATUSES,
+  TRANSITIONS,
+  STATUS_LABELS,
+  currentStatus,
+  canTransition,
+  buildStatusUpdate,
+} from "../services/helpRequestStatus.js";
+
+/**
+ * PATCH /api/help-requests/:id/status
+ * body: { status, assignee?, note? }
+ * Registered on the help-requests router via the post type declaration.
+ */
+export function mountStatusRoutes(router, { postIdQuery }) {
+  router.patch("/:id/status", rateLimit("interaction"), async (req, res) => {
+    try {
+      const uid = req.user?.uid;
+      if (!uid) return res.status(401).json({ error: "Authentication required." });
+
+      const { status: to, assignee, note } = req.body || {};
+      if (!STATUSES.includes(to))
+        return res.status(400).json({ error: `status must be one of ${STATUSES.join(", ")}` });
+      if (assignee !== undefined && assignee !== null && typeof assignee !== "string")
+        return res.status(400).json({ error: "assignee must be a user_id." });
+
+      const db = getDB();
+      const id = req.params.id;
+      const query = postIdQuery(id);
+      const coll = db.collection("help_requests");
+
+      const doc = await coll.findOne(query);
+      if (!doc) return res.status(404).json({ error: "Help request not found." });
+
+      const from = currentStatus(doc);
+      if (!TRANSITIONS[from].includes(to))
+        return res.status(409).json({
+          error: `Cannot move from ${from} to ${to}.`,
+          allowed: TRANSITIONS[from],
+        });
+
+      if (to === "assigned" && !assignee && !doc.assignee)
+        return res.status(400).json({ error: "assignee is required for assigned." });
+
+      req.user.role = req.user.role || (await getUserRole(uid));
+      const ctx = {
+        isAuthor: doc.user_id && String(doc.user_id) === uid,
+        isModerator: isModerator(req.user.role),
+        isAssignee: doc.assignee && String(doc.assignee) === uid,
+        assigningSelf: to === "assigned" && (assignee || doc.assignee) === uid,
+      };
+      if (!canTransition(to, ctx))
+        return res.status(403).json({ error: `Not allowed to set status ${to}.` });
+
+      const update = buildStatusUpdate(doc, to, { actorId: uid, assignee, note });
+
+      // Guard against a concurrent transition from the same state
+      const r = await coll.updateOne(
+        { ...query, status: doc.status ?? { $exists: false } },
+        update
+      );
+      if (!r.matchedCount)
+        return res.status(409).json({ error: "Status changed concurrently; reload and retry." });
+
+      await recordAudit({
+        action: "status",
+        collection: "help_requests",
+        docId: doc._id,
+        actorId: uid,
+        actorRole: req.user.role,
+        meta: { from, to, assignee: update.$set.assignee },
+      });
+
+      setImmediate(() =>
+        notifyFollowersOfUpdate(
+          "help_requests",
+          id,
+          uid,
+          "status",
+          `A help request you follow is ${STATUS_LABELS[to]}.`
+        )
+      );
+
+      const updated = await coll.findOne({ _id: doc._id });
+      res.json({ ...updated, _id: updated._id.toString() });
+    } catch (e) {
+      console.error("❌ PATCH /help-requests/:id/status failed:", e);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+}
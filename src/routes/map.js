@@ -0,0 +1,139 @@
+import express from "express";
+import { getDB } from "../db.js";
+import { parseBbox } from "../utils/geoUtils.js";
+import { selectMapLayers, layerBboxFilter } from "../services/mapLayers.js";
+
+const router = express.Router();
+
+// Below this zoom the viewport is returned as grid clusters
+const CLUSTER_MAX_ZOOM = Number(process.env.MAP_CLUSTER_MAX_ZOOM || 12);
+// Grid cells per 256px tile edge (4 → ~64px cells)
+const CELLS_PER_TILE = Number(process.env.MAP_CLUSTER_CELLS_PER_TILE || 4);
+// Individual features per layer once zoomed in
+const FEATURE_LIMIT = Number(process.env.MAP_FEATURE_LIMIT || 500);
+
+/**
+ * Per-layer grid buckets: one row per (cell, severity).
+ */
+async function clusterLayer(db, layer, bbox, cellDeg) {
+  const coords = `$${layer.geoField}.coordinates`;
+  return db
+    .collection(layer.collection)
+    .aggregate([
+      { $match: { $and: [layer.baseFilter(), layerBboxFilter(layer, bbox)] } },
+      {
+        $project: {
+          lng: { $arrayElemAt: [coords, 0] },
+          lat: { $arrayElemAt: [coords, 1] },
+          severity: layer.severity || null,
+        },
+      },
+      {
+        $group: {
+          _id: {
+            x: { $floor: { $divide: [{ $add: ["$lng", 180] }, cellDeg] } },
+            y: { $floor: { $divide: [{ $add: ["$lat", 90] }, cellDeg] } },
+            severity: "$severity",
+          },
+          count: { $sum: 1 },
+          sumLng: { $sum: "$lng" },
+          sumLat: { $sum: "$lat" },
+        },
+      },
+    ])
+    .toArray();
+}
+
+/**
+ * GET /api/map?bbox=minLon,minLat,maxLon,maxLat&zoom=N[&layers=a,b]
+ * One call for every map layer in the viewport.
+ *  - zoom < MAP_CLUSTER_MAX_ZOOM → { mode: "clusters", clusters, totals }
+ *    each cluster has a centroid, total count, counts per layer and severity
+ *  - otherwise → { mode: "features", layers: { <layer>: { count, truncated, items } } }
+ */
+router.get("/", async (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (!bbox)
+      return res
+        .status(400)
+        .json({ error: "bbox=minLon,minLat,maxLon,maxLat required." });
+
+    const zoom = parseInt(req.query.zoom, 10);
+    if (isNaN(zoom) || zoom < 0 || zoom > 24)
+      return res.status(400).json({ error: "zoom must be an integer 0-24." });
+
+    const { layers, error } = selectMapLayers(req.query.layers);
+    if (error) return res.status(400).json({ error });
+
+    const db = getDB();
+
+    // 🔍 Zoomed in: individual features per layer
+    if (zoom >= CLUSTER_MAX_ZOOM) {
+      const results = await Promise.all(
+        layers.map((layer) =>
+          db
+            .collection(layer.collection)
+            .find(
+              { $and: [layer.baseFilter(), layerBboxFilter(layer, bbox)] },
+              { projection: layer.projection }
+            )
+            .limit(FEATURE_LIMIT + 1)
+            .toArray()
+        )
+      );
+
+      const out = {};
+      layers.forEach((layer, i) => {
+        const docs = results[i];
+        const items = docs.slice(0, FEATURE_LIMIT);
+        out[layer.name] = {
+          count: items.length,
+          truncated: docs.length > FEATURE_LIMIT,
+          items: items.map((d) => ({ ...d, _id: d._id.toString() })),
+        };
+      });
+
+      return res.json({ bbox, zoom, mode: "features", layers: out });
+    }
+
+    // 🗺️ Zoomed out: grid clusters across all layers
+    const cellDeg = 360 / (2 ** zoom * CELLS_PER_TILE);
+    const buckets = await Promise.all(
+      layers.map((layer) => clusterLayer(db, layer, bbox, cellDeg))
+    );
+
+    const cells = new Map();
+    const totals = Object.fromEntries(layers.map((l) => [l.name, 0]));
+    layers.forEach((layer, i) => {
+      for (const b of buckets[i]) {
+        const key = `${b._id.x}:${b._id.y}`;
+        let cell = cells.get(key);
+        if (!cell) {
+          cell = { id: key, count: 0, sumLng: 0, sumLat: 0, layers: {}, severity: {} };
+          cells.set(key, cell);
+        }
+        cell.count += b.count;
+        cell.sumLng += b.sumLng;
+        cell.sumLat += b.sumLat;
+        cell.layers[layer.name] = (cell.layers[layer.name] || 0) + b.count;
+        if (b._id.severity)
+          cell.severity[b._id.severity] = (cell.severity[b._id.severity] || 0) + b.count;
+        totals[layer.name] += b.count;
+      }
+    });
+
+    const clusters = [...cells.values()].map(({ sumLng, sumLat, ...c }) => ({
+      ...c,
+      lng: sumLng / c.count,
+      lat: sumLat / c.count,
+    }));
+
+    res.json({ bbox, zoom, mode: "clusters", cellDeg, totals, clusters });
+  } catch (err) {
+    console.error("GET /api/map error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+import express from "express";
+import { getDB } from "../db.js";
+import { ObjectId } from "mongodb";
+import { canManagePost } from "../middleware/roles.js";
+import { visibleFilter } from "../postTypes/index.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { proposeMatchesForRequest, respondToMatch } from "../services/matching.js";
+
+const router = express.Router();
+
+/** Stored matches for a request, best first, with the offer attached. */
+async function loadMatchesWithOffers(filter) {
+  const db = getDB();
+  const matches = await db
+    .collection("matches")
+    .find(filter)
+    .sort({ score: -1, createdAt: -1 })
+    .toArray();
+
+  const offerIds = matches.map((m) => m.offer_id);
+  const offers = await db
+    .collection("offer_help")
+    .find({ _id: { $in: offerIds }, ...visibleFilter() })
+    .toArray();
+  const byId = new Map(offers.map((o) => [String(o._id), o]));
+
+  return matches
+    .filter((m) => byId.has(String(m.offer_id)))
+    .map((m) => {
+      const offer = byId.get(String(m.offer_id));
+      return {
+        ...m,
+        _id: m._id.toString(),
+        offer: { ...offer, _id: offer._id.toString() },
+      };
+    });
+}
+
+/**
+ * GET /api/help-requests/:id/matches[?refresh=true]
+ * Candidate offers for a request (author or moderator only; offerers see
+ * their own matches on /api/matches). refresh=true re-runs matching
+ * first, e.g. for requests created before new offers.
+ * Registered on the help-requests router via the post type declaration.
+ */
+export function mountRequestMatchRoutes(router, { postIdQuery }) {
+  router.get("/:id/matches", async (req, res) => {
+    try {
+      const db = getDB();
+      const request = await db
+        .collection("help_requests")
+        .findOne(postIdQuery(req.params.id));
+      if (!request)
+        return res.status(404).json({ error: "Help request not found." });
+
+      if (!req.user?.uid) return res.status(401).json({ error: "Authentication required." });
+      if (!(await canManagePost(req.user, request)))
+        return res.status(403).json({ error: "Only the author or a moderator can see matches." });
+
+      if (String(req.query.refresh) === "true") await proposeMatchesForRequest(request);
+
+      const matches = await loadMatchesWithOffers({ help_request_id: request._id });
+      res.json({ count: matches.length, matches });
+    } catch (e) {
+      console.error("❌ GET /help-requests/:id/matches failed:", e);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+}
+
+/**
+ * GET /api/matches?status=proposed
+ * Matches where the caller is the requester or the offerer.
+ */
+router.get("/", async (req, res) => {
+  try {
+    const uid = req.user?.uid;
+    if (!uid) return res.status(401).json({ error: "Authentication required." });
+
+    const filter = { $or: [{ requester_id: uid }, { offerer_id: uid }] };
+    if (req.query.status) filter.status = String(req.query.status);
+
+    const matches = await loadMatchesWithOffers(filter);
+    res.json({ count: matches.length, matches });
+  } catch (e) {
+    console.error("❌ GET /matches failed:", e);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * PATCH /api/matches/:id/accept
+ * PATCH /api/matches/:id/decline
+ * Either side of the match; the other side is notified.
+ */
+for (const decision of ["accept", "decline"]) {
+  router.patch(`/:id/${decision}`, rateLimit("interaction"), async (req, res) => {
+    try {
+      const uid = req.user?.uid;
+      if (!uid) return res.status(401).json({ error: "Authentication required." });
+
+      const { id } = req.params;
+      if (!ObjectId.isValid(id))
+        return res.status(404).json({ error: "Match not found." });
+
+      const db = getDB();
+      const match = await db
+        .collection("matches")
+        .findOne({ _id: new ObjectId(id) });
+      if (!match) return res.status(404).json({ error: "Match not found." });
+
+      const result = await respondToMatch(match, uid, decision);
+      if (result?.error)
+        return res.status(result.status).json({ error: result.error });
+
+      res.json({ ...result, _id: result._id.toString() });
+    } catch (e) {
+      console.error(`❌ PATCH /matches/:id/${decision} failed:`, e);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+}
+
+export default router;
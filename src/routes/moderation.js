@@ -0,0 +1,65 @@
+import express from "express";
+import { requireRole } from "../middleware/roles.js";
+import {
+  loadModerationQueue,
+  applyModerationAction,
+  unbanUser,
+} from "../services/moderation.js";
+
+const router = express.Router();
+
+router.use(requireRole("moderator", "admin"));
+
+/**
+ * GET /api/moderation/queue?limit=100
+ * Reported or auto-flagged posts and comments, most-reported first.
+ */
+router.get("/queue", async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const items = await loadModerationQueue({ limit });
+    res.json({ count: items.length, items });
+  } catch (err) {
+    console.error("GET /api/moderation/queue error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /api/moderation/users/:user_id/unban
+ */
+router.post("/users/:user_id/unban", async (req, res) => {
+  try {
+    const result = await unbanUser(req.params.user_id, req.user);
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("POST /api/moderation unban error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+/**
+ * POST /api/moderation/:collection/:id/:action
+ * action: hide | restore | delete | ban (hides the item + bans its author) | dismiss
+ * body: { note? }
+ */
+router.post("/:collection/:id/:action", async (req, res) => {
+  try {
+    const { collection, id, action } = req.params;
+    const result = await applyModerationAction({
+      targetName: collection,
+      id,
+      action,
+      actor: req.user,
+      note: typeof req.body?.note === "string" ? req.body.note.slice(0, 1000) : null,
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    res.json(result);
+  } catch (err) {
+    console.error("POST /api/moderation action error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+export default router;
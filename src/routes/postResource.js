@@ -0,0 +1,557 @@
+// src/routes/postResource.js
+//
+// Shared router factory for user-created post types (hazards, help requests,
+// offers, ...). A type declaration in src/postTypes/ supplies the collection,
+// geo field, comment collection, wording and any type-specific fields; this
+// module provides the routes, validation and notification wiring:
+//
+//   POST   /                 create + geo notifications
+//   GET    /                 newest posts (cursor-paginated, filterable,
+//                            ?sort=credibility for most credible first)
+//   GET    /near             posts within radius_km (same paging/filters)
+//   GET    /:id
+//   PATCH  /:id/confirm      vote (recomputes credibility)
+//   PATCH  /:id/dispute      vote (recomputes credibility)
+//   PATCH  /:id/resolve      author or moderator
+//   PATCH  /:id/follow       toggle
+//   POST   /:id/comments
+//   GET    /:id/comments
+//   DELETE /:id              soft delete, author or moderator
+//
+// Type hooks (all optional):
+//   validate(body) -> error string | null
+//   buildDoc(body) -> type-specific fields
+//   archiveFields(doc) -> extra events_archive fields
+//   afterCreate(doc) -> async side effects once the post is stored
+//   resolveUpdate(doc, actorId) -> { update } or { error, status } for
+//                                  PATCH /:id/resolve
+//   extendRouter(router, helpers) -> extra type-specific routes
+//
+// Writes that can fan out pushes are rate limited (src/middleware/rateLimit.js).
+//
+// Type fields (optional):
+//   listFilters -> extra buildListFilter() fields, e.g. { emergencyField }
+
+import express from "express";
+import { getDB } from "../db.js";
+import { ObjectId } from "mongodb";
+import { notifyFollowersOfUpdate } from "../services/notifications.js";
+import { notifyNearbyUsers } from "../services/notifyNearbyUsers.js";
+import { canManagePost, requireNotBanned } from "../middleware/roles.js";
+import { visibleFilter } from "../postTypes/index.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { recordAudit } from "../services/auditLog.js";
+import { INITIAL_CREDIBILITY, updateCredibility } from "../services/credibility.js";
+import { buildListFilter, paginate, withinRadius } from "../utils/pagination.js";
+import { postListSpec } from "../services/listSpecs.js";
+
+const MAX_MESSAGE_LENGTH = 5000;
+const LIST_DEFAULT_LIMIT = 100;
+const LIST_MAX_LIMIT = 500;
+
+/** _id query (ObjectId or string), excluding soft-deleted and hidden posts */
+export function postIdQuery(id) {
+  return /^[0-9a-fA-F]{24}$/.test(id)
+    ? { _id: new ObjectId(id), ...visibleFilter() }
+    : { _id: id, ...visibleFilter() };
+}
+
+/**
+ * Common create-body validation + the type's own validate() hook.
+ * Returns an error string or null.
+ */
+export function validatePostBody(type, body = {}) {
+  const { lat, lng, types, message, details } = body;
+  if (lat === undefined || lat === null || lat === "" || lng === undefined || lng === null || lng === "")
+    return "Latitude and longitude required.";
+
+  const latN = parseFloat(lat);
+  const lngN = parseFloat(lng);
+  if (isNaN(latN) || isNaN(lngN) || Math.abs(latN) > 90 || Math.abs(lngN) > 180)
+    return "Latitude and longitude must be valid coordinates.";
+
+  if (types !== undefined && (!Array.isArray(types) || types.some((t) => t && typeof t !== "string")))
+    return "types must be an array of strings.";
+
+  for (const text of [message, details]) {
+    if (text !== undefined && text !== null && typeof text !== "string")
+      return "message/details must be text.";
+    if (typeof text === "string" && text.length > MAX_MESSAGE_LENGTH)
+      return `message/details must be at most ${MAX_MESSAGE_LENGTH} characters.`;
+  }
+
+  return type.validate ? type.validate(body) : null;
+}
+
+/**
+ * Build the Express router for one post type declaration.
+ */
+export function createPostRouter(type) {
+  const router = express.Router();
+  const { collection, geoField, archiveType, messages } = type;
+  const { collection: commentsCollection, parentField } = type.comments;
+
+  // Type-specific routes first so they win over the generic /:id patterns
+  if (type.extendRouter) type.extendRouter(router, { postIdQuery });
+
+  /**
+   * POST /api/<route>
+   * Create new post and trigger geo notifications
+   */
+  router.post("/", rateLimit("post"), requireNotBanned, async (req, res) => {
+    try {
+      const error = validatePostBody(type, req.body);
+      if (error) return res.status(400).json({ error });
+
+      const { lat, lng, region } = req.body;
+      const user_id = req.user?.uid || null;
+
+      const db = getDB();
+      const coll = db.collection(collection);
+
+      const doc = {
+        user_id: user_id || null,
+        ...type.buildDoc(req.body),
+        [geoField]: {
+          type: "Point",
+          coordinates: [parseFloat(lng), parseFloat(lat)],
+        },
+        confirmCount: 0,
+        disputeCount: 0,
+        resolved: false,
+        followers: user_id ? [user_id] : [],
+        votes: {},
+        credibility: { ...INITIAL_CREDIBILITY, updatedAt: new Date() },
+        timestamp: new Date(),
+      };
+
+      const result = await coll.insertOne(doc);
+      const inserted = { ...doc, _id: result.insertedId };
+
+      // 📦 Archive successful creation (pilot metrics)
+      try {
+        await db.collection("events_archive").insertOne({
+          type: archiveType,
+          entityId: result.insertedId,
+          user_id: user_id || null,
+          ...(type.archiveFields ? type.archiveFields(doc) : {}),
+          region: region || "unknown",
+          status: "success",
+          timestamp: new Date(),
+        });
+      } catch (archiveErr) {
+        console.error(
+          `events_archive (${archiveType}) failed:`,
+          archiveErr.message
+        );
+      }
+
+      // 🧮 Initial score picks up agreement with official alerts
+      setImmediate(() => updateCredibility(collection, result.insertedId));
+
+      // ✅ Fire notifications asynchronously, excluding poster’s tokens
+      setImmediate(async () => {
+        try {
+          const poster = doc.user_id
+            ? await db.collection("users").findOne({ user_id: doc.user_id })
+            : null;
+
+          const excludeTokens = Array.isArray(poster?.fcm_tokens)
+            ? poster.fcm_tokens
+            : [];
+
+          const insertedWithTokens = { ...inserted, fcm_tokens: excludeTokens };
+
+          await notifyNearbyUsers(collection, insertedWithTokens, {
+            excludeUserId: doc.user_id,
+            excludeTokens,
+          });
+        } catch (err) {
+          console.error(`notifyNearbyUsers (${collection}) error:`, err);
+        }
+      });
+
+      if (type.afterCreate) {
+        setImmediate(async () => {
+          try {
+            await type.afterCreate(inserted);
+          } catch (err) {
+            console.error(`afterCreate (${collection}) error:`, err);
+          }
+        });
+      }
+
+      res.status(201).json({ id: result.insertedId.toString(), ...doc });
+    } catch (err) {
+      console.error(`POST /api/${type.route} error:`, err);
+
+      // ❌ Archive failed attempt
+      try {
+        const db = getDB();
+        await db.collection("events_archive").insertOne({
+          type: archiveType,
+          status: "error",
+          errorMessage: err.message,
+          timestamp: new Date(),
+        });
+      } catch (archiveErr) {
+        console.error(
+          `events_archive (${archiveType} error) failed:`,
+          archiveErr.message
+        );
+      }
+
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  /** GET all / near / by id **/
+  const listSpec = postListSpec(type);
+
+  const SORT_FIELDS = { newest: "timestamp", credibility: "credibility.score" };
+
+  // Shared by GET / and GET /near: filters → one page → { count, items, nextCursor }
+  async function sendPage(req, res, baseFilter) {
+    const { filter, error } = buildListFilter(req.query, listSpec);
+    if (error) return res.status(400).json({ error });
+
+    const sortField = SORT_FIELDS[req.query.sort || "newest"];
+    if (!sortField)
+      return res.status(400).json({ error: "sort must be newest or credibility." });
+
+    const db = getDB();
+    const page = await paginate(
+      db.collection(collection),
+      { ...baseFilter, ...filter, ...visibleFilter() },
+      {
+        query: req.query,
+        sortField,
+        defaultLimit: LIST_DEFAULT_LIMIT,
+        maxLimit: LIST_MAX_LIMIT,
+      }
+    );
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json({
+      count: page.items.length,
+      items: page.items.map((d) => ({ ...d, _id: d._id.toString() })),
+      nextCursor: page.nextCursor,
+    });
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      await sendPage(req, res, {});
+    } catch (err) {
+      console.error(`GET /api/${type.route} error:`, err);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  router.get("/near", async (req, res) => {
+    try {
+      const lat = parseFloat(req.query.lat);
+      const lng = parseFloat(req.query.lng);
+      const radiusKm = parseFloat(req.query.radius_km || 5);
+
+      if (isNaN(lat) || isNaN(lng))
+        return res.status(400).json({ error: "Valid lat/lng required." });
+      if (!Number.isFinite(radiusKm) || radiusKm <= 0)
+        return res.status(400).json({ error: "radius_km must be a positive number." });
+
+      // $geoWithin (not $nearSphere) so results can be time-sorted and paged
+      await sendPage(req, res, withinRadius(geoField, lat, lng, radiusKm));
+    } catch (err) {
+      console.error(`GET /api/${type.route}/near error:`, err);
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const db = getDB();
+      const doc = await db
+        .collection(collection)
+        .findOne(postIdQuery(req.params.id));
+      if (!doc) return res.status(404).json({ error: messages.notFound });
+
+      res.json({ ...doc, _id: doc._id.toString() });
+    } catch {
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  /** confirm / dispute / resolve **/
+  function voteHandler(vote) {
+    const opposite = vote === "confirm" ? "dispute" : "confirm";
+    const countField = `${vote}Count`;
+    const oppositeField = `${opposite}Count`;
+
+    return async (req, res) => {
+      try {
+        const user_id = req.user?.uid;
+        if (!user_id)
+          return res.status(401).json({ error: "Authentication required." });
+
+        const db = getDB();
+        const id = req.params.id;
+        const query = postIdQuery(id);
+
+        const coll = db.collection(collection);
+        const doc = await coll.findOne(query);
+        if (!doc) return res.status(404).json({ error: "Not found." });
+
+        const votes = doc.votes || {};
+        const cur = votes[user_id];
+        if (cur === vote)
+          return res.json({
+            message: vote === "confirm" ? "Already confirmed." : "Already disputed.",
+          });
+
+        const update = {
+          $set: { [`votes.${user_id}`]: vote, [`voteTimes.${user_id}`]: new Date() },
+          $inc: {},
+        };
+        if (cur === opposite) {
+          update.$inc[countField] = 1;
+          update.$inc[oppositeField] = -1;
+        } else update.$inc[countField] = 1;
+
+        await coll.updateOne(query, update);
+        const credibility = await updateCredibility(collection, doc._id);
+
+        setImmediate(() =>
+          notifyFollowersOfUpdate(
+            collection,
+            id,
+            user_id,
+            vote,
+            vote === "confirm" ? messages.confirmed : messages.disputed
+          )
+        );
+
+        res.json({
+          message: vote === "confirm" ? "Confirm recorded." : "Dispute recorded.",
+          credibility: credibility?.score ?? null,
+        });
+      } catch {
+        res.status(500).json({ error: "Internal server error." });
+      }
+    };
+  }
+
+  router.patch("/:id/confirm", rateLimit("interaction"), requireNotBanned, voteHandler("confirm"));
+  router.patch("/:id/dispute", rateLimit("interaction"), requireNotBanned, voteHandler("dispute"));
+
+  router.patch("/:id/resolve", rateLimit("interaction"), async (req, res) => {
+    try {
+      const db = getDB();
+      const id = req.params.id;
+      const query = postIdQuery(id);
+
+      const coll = db.collection(collection);
+      const doc = await coll.findOne(query);
+      if (!doc) return res.status(404).json({ error: "Not found." });
+
+      // 🔒 Author or moderator only
+      if (!(await canManagePost(req.user, doc)))
+        return res.status(403).json({ error: `Only the author or a moderator can resolve this ${type.label}.` });
+
+      if (type.resolveUpdate) {
+        const r = type.resolveUpdate(doc, req.user.uid);
+        if (r.error) return res.status(r.status || 400).json({ error: r.error });
+        // Guard against a concurrent status change (as PATCH /:id/status)
+        const w = await coll.updateOne(
+          { ...query, status: doc.status ?? { $exists: false } },
+          r.update
+        );
+        if (!w.matchedCount)
+          return res.status(409).json({ error: "Status changed concurrently; reload and retry." });
+      } else {
+        await coll.updateOne(query, {
+          $set: { resolved: true, resolvedAt: new Date(), resolvedBy: req.user.uid },
+        });
+      }
+
+      await recordAudit({
+        action: "resolve",
+        collection,
+        docId: doc._id,
+        actorId: req.user.uid,
+        actorRole: req.user.role || null,
+        snapshot: doc,
+      });
+
+      setImmediate(() =>
+        notifyFollowersOfUpdate(
+          collection,
+          id,
+          null,
+          "resolve",
+          messages.followerResolved
+        )
+      );
+
+      res.json({ message: messages.resolved });
+    } catch {
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  /** follow **/
+  router.patch("/:id/follow", rateLimit("interaction"), async (req, res) => {
+    try {
+      const user_id = req.user?.uid;
+      if (!user_id)
+        return res.status(401).json({ error: "Authentication required." });
+
+      const db = getDB();
+      const id = req.params.id;
+      const query = postIdQuery(id);
+
+      const coll = db.collection(collection);
+      const doc = await coll.findOne(query);
+      if (!doc) return res.status(404).json({ error: "Not found." });
+
+      const followers = doc.followers || [];
+      const alreadyFollowing = followers.includes(user_id);
+      const update = alreadyFollowing
+        ? { $pull: { followers: user_id } }
+        : { $addToSet: { followers: user_id } };
+
+      await coll.updateOne(query, update);
+
+      if (!alreadyFollowing)
+        setImmediate(() =>
+          notifyFollowersOfUpdate(
+            collection,
+            id,
+            user_id,
+            "follow",
+            "A post you follow has a new follower."
+          )
+        );
+
+      res.json({
+        message: alreadyFollowing ? "Unfollowed" : "Followed",
+        following: !alreadyFollowing,
+      });
+    } catch {
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  /** comments **/
+  router.post("/:id/comments", rateLimit("comment"), requireNotBanned, async (req, res) => {
+    try {
+      const { text, region } = req.body;
+      const user_id = req.user?.uid || null;
+      if (!text)
+        return res.status(400).json({ error: "Comment text required." });
+      if (typeof text !== "string" || text.length > MAX_MESSAGE_LENGTH)
+        return res.status(400).json({ error: `Comment must be text of at most ${MAX_MESSAGE_LENGTH} characters.` });
+
+      const db = getDB();
+      const { id } = req.params;
+
+      const coll = db.collection(collection);
+      const comments = db.collection(commentsCollection);
+      const parentDoc = await coll.findOne(postIdQuery(id));
+      if (!parentDoc)
+        return res.status(404).json({ error: messages.notFound });
+
+      const comment = {
+        [parentField]: parentDoc._id,
+        user_id: user_id || null,
+        text,
+        createdAt: new Date(),
+      };
+
+      const result = await comments.insertOne(comment);
+
+      // 💬 Archive comment
+      try {
+        await db.collection("comments_archive").insertOne({
+          parentType: archiveType,
+          parentId: parentDoc._id,
+          user_id: user_id || null,
+          region: region || "unknown",
+          text,
+          timestamp: new Date(),
+        });
+      } catch (archiveErr) {
+        console.error(
+          `comments_archive (${archiveType}) failed:`,
+          archiveErr.message
+        );
+      }
+
+      setImmediate(() =>
+        notifyFollowersOfUpdate(collection, id, user_id, "comment", text)
+      );
+
+      res.status(201).json({ id: result.insertedId.toString(), ...comment });
+    } catch {
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  router.get("/:id/comments", async (req, res) => {
+    try {
+      const db = getDB();
+      const id = req.params.id;
+      const parent = await db
+        .collection(collection)
+        .findOne(postIdQuery(id), { projection: { _id: 1 } });
+      if (!parent) return res.status(404).json({ error: messages.notFound });
+
+      const filter = { [parentField]: parent._id, ...visibleFilter() };
+
+      const docs = await db
+        .collection(commentsCollection)
+        .find(filter)
+        .sort({ createdAt: 1 })
+        .toArray();
+
+      res.json(docs.map((c) => ({ ...c, _id: c._id.toString() })));
+    } catch {
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const db = getDB();
+      const query = postIdQuery(req.params.id);
+
+      const coll = db.collection(collection);
+      const doc = await coll.findOne(query);
+      if (!doc) return res.status(404).json({ error: "Not found." });
+
+      // 🔒 Author or moderator only
+      if (!(await canManagePost(req.user, doc)))
+        return res.status(403).json({ error: `Only the author or a moderator can delete this ${type.label}.` });
+
+      // 🗑️ Soft delete — hidden from reads, kept for incident reconstruction
+      const deletedAt = new Date();
+      await coll.updateOne(query, {
+        $set: { deleted: true, deletedBy: req.user.uid, deletedAt },
+      });
+
+      await recordAudit({
+        action: "delete",
+        collection,
+        docId: doc._id,
+        actorId: req.user.uid,
+        actorRole: req.user.role || null,
+        snapshot: doc,
+      });
+
+      res.json({ message: messages.deleted });
+    } catch {
+      res.status(500).json({ error: "Internal server error." });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,42 @@
+import express from "express";
+import { requireUser } from "../middleware/auth.js";
+import { requireNotBanned } from "../middleware/roles.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { fileReport } from "../services/moderation.js";
+
+const router = express.Router();
+
+/**
+ * POST /api/reports
+ * body: { collection, id, reason, details? }
+ *   collection: post type (hazards, help-requests, offer_help, ...) or a
+ *               comment collection (hazard_comments, help_comments, offer_comments)
+ *   reason:     spam | abuse | fake | dangerous | personal_info | other
+ */
+router.post("/", requireUser, rateLimit("report"), requireNotBanned, async (req, res) => {
+  try {
+    const { collection, id, reason, details } = req.body || {};
+    if (!collection || !id)
+      return res.status(400).json({ error: "collection and id required." });
+
+    const result = await fileReport({
+      targetName: String(collection),
+      id: String(id),
+      reporterId: req.user.uid,
+      reason,
+      details,
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    res.status(201).json({
+      message: "Report received.",
+      reportCount: result.reportCount,
+      hidden: result.hidden,
+    });
+  } catch (err) {
+    console.error("POST /api/reports error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+export default router;
@@ -1,23 +1,42 @@
 import express from "express";
 import { getDB } from "../db.js";
+import { buildListFilter, paginate, withinRadius } from "../utils/pagination.js";
+import { SIGNAL_LIST_SPEC } from "../services/listSpecs.js";
 
 const router = express.Router();
 
+/**
+ * Filter + page social_signals, newest publishedAt first.
+ * Returns { count, items, nextCursor } or { error }.
+ */
+async function pageSignals(req, baseFilter, { defaultLimit = 500, maxLimit = 1000 } = {}) {
+  const { filter, error } = buildListFilter(req.query, SIGNAL_LIST_SPEC);
+  if (error) return { error };
+
+  const page = await paginate(
+    getDB().collection("social_signals"),
+    { ...baseFilter, ...filter },
+    { query: req.query, sortField: "publishedAt", defaultLimit, maxLimit }
+  );
+  if (page.error) return page;
+
+  return {
+    count: page.items.length,
+    items: page.items,
+    nextCursor: page.nextCursor,
+  };
+}
+
 /**
  * 🌍 GLOBAL social signals (default)
  * GET /api/social-signals
  */
-router.get("/", async (_req, res) => {
+router.get("/", async (req, res) => {
   try {
-    const db = getDB();
-    const results = await db
-      .collection("social_signals")
-      .find({})
-      .sort({ publishedAt: -1, createdAt: -1 })
-      .limit(500)
-      .toArray();
-
-    res.json(results);
+    const page = await pageSignals(req, {});
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json(page);
   } catch (err) {
     console.error("❌ Error fetching global social signals:", err);
     res.status(500).json({ error: "Failed to fetch social signals" });
@@ -28,16 +47,12 @@ router.get("/", async (_req, res) => {
  * 🧪 DEBUG: return everything (no geo logic)
  * GET /api/social-signals/all
  */
-router.get("/all", async (_req, res) => {
+router.get("/all", async (req, res) => {
   try {
-    const db = getDB();
-    const results = await db
-      .collection("social_signals")
-      .find({})
-      .limit(1000)
-      .toArray();
+    const page = await pageSignals(req, {}, { defaultLimit: 1000, maxLimit: 5000 });
+    if (page.error) return res.status(400).json({ error: page.error });
 
-    res.json(results);
+    res.json(page);
   } catch (err) {
     console.error("❌ Error fetching all social signals:", err);
     res.status(500).json({ error: "Failed to fetch social signals" });
@@ -116,26 +131,22 @@ router.get("/near", async (req, res) => {
   if (!lat || !lng) {
     return res.status(400).json({ error: "Missing lat and lng parameters" });
   }
+  if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lng))) {
+    return res.status(400).json({ error: "lat and lng must be numbers" });
+  }
+  const radiusKm = Number(radius_km);
+  if (!Number.isFinite(radiusKm) || radiusKm <= 0) {
+    return res.status(400).json({ error: "radius_km must be a positive number" });
+  }
 
   try {
-    const db = getDB();
-    const results = await db
-      .collection("social_signals")
-      .find({
-        geometry: {
-          $nearSphere: {
-            $geometry: {
-              type: "Point",
-              coordinates: [Number(lng), Number(lat)],
-            },
-            $maxDistance: Number(radius_km) * 1000,
-          },
-        },
-      })
-      .limit(500)
-      .toArray();
-
-    res.json(results);
+    const page = await pageSignals(
+      req,
+      withinRadius("geometry", Number(lat), Number(lng), radiusKm)
+    );
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json(page);
   } catch (err) {
     console.error("❌ Error fetching nearby social signals:", err);
     res.status(500).json({ error: "Failed to fetch social signals" });
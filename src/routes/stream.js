@@ -0,0 +1,83 @@
+import express from "express";
+import { parseBbox } from "../utils/geoUtils.js";
+import { selectMapLayers } from "../services/mapLayers.js";
+import { subscribe } from "../services/eventStream.js";
+
+const router = express.Router();
+
+const HEARTBEAT_MS = 25_000;
+const MAX_IDS = 200;
+
+/**
+ * GET /api/stream  (Server-Sent Events)
+ * Subscribe to live create/update/vote/resolve/status/delete/comment events.
+ *
+ * Query (at least one of bbox, lat+lng, ids):
+ *   bbox=minLon,minLat,maxLon,maxLat   viewport
+ *   lat, lng, radius_km (default 5)    radius
+ *   ids=a,b,c                          posts followed regardless of location
+ *   layers=hazards,alerts_cap          collections (default: all map layers)
+ *
+ * Each message: `event: <type>` + JSON { type, collection, docId, doc }.
+ * A new viewport = a new connection (EventSource reconnects cheaply).
+ */
+router.get("/", (req, res) => {
+  let bbox = null;
+  if (req.query.bbox !== undefined) {
+    bbox = parseBbox(req.query.bbox);
+    if (!bbox)
+      return res.status(400).json({ error: "bbox must be minLon,minLat,maxLon,maxLat." });
+  }
+
+  let center = null;
+  if (req.query.lat !== undefined || req.query.lng !== undefined) {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const radiusKm = parseFloat(req.query.radius_km || 5);
+    if (isNaN(lat) || isNaN(lng) || isNaN(radiusKm) || radiusKm <= 0)
+      return res.status(400).json({ error: "Valid lat/lng/radius_km required." });
+    center = { lat, lng, radiusKm };
+  }
+
+  const ids = String(req.query.ids || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (ids.length > MAX_IDS)
+    return res.status(400).json({ error: `At most ${MAX_IDS} ids.` });
+
+  if (!bbox && !center && !ids.length)
+    return res.status(400).json({ error: "Subscribe with bbox, lat/lng or ids." });
+
+  const { layers, error } = selectMapLayers(req.query.layers);
+  if (error) return res.status(400).json({ error });
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  let seq = 0;
+  const unsubscribe = subscribe({
+    bbox,
+    center,
+    ids,
+    layers: req.query.layers ? layers.map((l) => l.name) : null,
+    send: (event) => {
+      res.write(`id: ${++seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    },
+  });
+
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+export default router;
@@ -0,0 +1,132 @@
+import express from "express";
+import GeoJSONVT from "geojson-vt";
+import vtpbf from "vt-pbf";
+import { getDB } from "../db.js";
+import { tileBbox } from "../utils/geoUtils.js";
+import { getMapLayer, layerBboxFilter } from "../services/mapLayers.js";
+
+const router = express.Router();
+
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64; // px of 4096, keeps edge symbols from clipping
+const MAX_ZOOM = 22;
+const MAX_FEATURES = Number(process.env.TILE_MAX_FEATURES || 10000);
+const CACHE_TTL_MS = Number(process.env.TILE_CACHE_TTL_MS || 60_000);
+const CACHE_MAX = Number(process.env.TILE_CACHE_MAX || 1000);
+
+// 🧊 Per-tile cache: key → { buf, expires }, oldest evicted first
+const tileCache = new Map();
+
+function cacheGet(key) {
+  const hit = tileCache.get(key);
+  if (!hit) return null;
+  if (hit.expires < Date.now()) {
+    tileCache.delete(key);
+    return null;
+  }
+  return hit.buf;
+}
+
+function cacheSet(key, buf) {
+  if (tileCache.size >= CACHE_MAX) tileCache.delete(tileCache.keys().next().value);
+  tileCache.set(key, { buf, expires: Date.now() + CACHE_TTL_MS });
+}
+
+// Drop null/undefined (not encodable in MVT)
+function compact(props) {
+  return Object.fromEntries(Object.entries(props).filter(([, v]) => v != null));
+}
+
+/**
+ * Docs for one tile (bbox padded by the tile buffer).
+ * Alerts also match when only their footprint reaches into the tile, and
+ * are drawn as the footprint polygon when they have one.
+ */
+async function tileFeatures(layer, z, x, y) {
+  const [minLon, minLat, maxLon, maxLat] = tileBbox(z, x, y);
+  const padLon = ((maxLon - minLon) * TILE_BUFFER) / TILE_EXTENT;
+  const padLat = ((maxLat - minLat) * TILE_BUFFER) / TILE_EXTENT;
+  const bbox = [
+    Math.max(-180, minLon - padLon),
+    Math.max(-85.06, minLat - padLat),
+    Math.min(180, maxLon + padLon),
+    Math.min(85.06, maxLat + padLat),
+  ];
+
+  const isAlerts = layer.name === "alerts_cap";
+  const filter = {
+    $and: [layer.baseFilter(), layerBboxFilter(layer, bbox)],
+  };
+  const projection = isAlerts ? {} : layer.projection;
+
+  const docs = await getDB()
+    .collection(layer.collection)
+    .find(filter, { projection })
+    .limit(MAX_FEATURES)
+    .toArray();
+
+  return docs.map((doc) => ({
+    type: "Feature",
+    geometry: (isAlerts && doc.footprint) || doc[layer.geoField],
+    properties: compact(layer.properties(doc)),
+  }));
+}
+
+/**
+ * GET /api/tiles/:layer/:z/:x/:y.pbf
+ * Mapbox Vector Tile for one layer (hazards, help_requests / help-requests,
+ * offer_help / offers, alerts_cap, social_signals). The MVT layer name is
+ * the collection name. Empty tiles → 204.
+ */
+router.get("/:layer/:z/:x/:y.pbf", async (req, res) => {
+  try {
+    const layer = getMapLayer(req.params.layer);
+    if (!layer) return res.status(404).json({ error: "Unknown layer." });
+
+    const z = Number(req.params.z);
+    const x = Number(req.params.x);
+    const y = Number(req.params.y);
+    const n = 2 ** z;
+    if (
+      ![z, x, y].every(Number.isInteger) ||
+      z < 0 || z > MAX_ZOOM ||
+      x < 0 || x >= n || y < 0 || y >= n
+    )
+      return res.status(400).json({ error: "Invalid tile coordinates." });
+
+    const key = `${layer.name}/${z}/${x}/${y}`;
+    let buf = cacheGet(key);
+
+    if (!buf) {
+      const features = await tileFeatures(layer, z, x, y);
+      const tile = features.length
+        ? new GeoJSONVT(
+            { type: "FeatureCollection", features },
+            {
+              maxZoom: z,
+              indexMaxZoom: z,
+              indexMaxPoints: 0,
+              extent: TILE_EXTENT,
+              buffer: TILE_BUFFER,
+            }
+          ).getTile(z, x, y)
+        : null;
+
+      buf = tile
+        ? Buffer.from(vtpbf.fromGeojsonVt({ [layer.name]: tile }, { version: 2 }))
+        : Buffer.alloc(0);
+      cacheSet(key, buf);
+    }
+
+    res.set("Cache-Control", `public, max-age=${Math.floor(CACHE_TTL_MS / 1000)}`);
+    if (!buf.length) return res.status(204).end();
+
+    res.set("Content-Type", "application/vnd.mapbox-vector-tile");
+    res.send(buf);
+  } catch (err) {
+    console.error("GET /api/tiles error:", err);
+    res.status(500).json({ error: "Internal server error." });
+  }
+});
+
+export default router;
@@ -1,40 +1,139 @@
 // src/routes/user.js
 import express from "express";
 import { getDB } from "../db.js";
-import admin from "../services/firebaseAdmin.js";
-import { registerFcmToken } from "../services/notifications.js";
+import {
+  registerDeviceToken,
+  unregisterDeviceToken,
+  listDevices,
+  updateDeviceSettings,
+  transportsFor,
+} from "../services/deviceTokens.js";
+import { deliverPush } from "../services/push/index.js";
+import { VAPID_PUBLIC_KEY } from "../services/push/webPush.js";
+import { requireUser } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { toGeoPoint } from "../utils/geoUtils.js";
+import {
+  MAX_NOTIFY_RADIUS_MI,
+  effectivePrefs,
+  isValidRadiusMi,
+  validateNotificationPrefs,
+} from "../services/notificationPrefs.js";
+import {
+  serializeContacts,
+  startContactVerification,
+  confirmContactVerification,
+  removeContact,
+} from "../services/contacts.js";
+import {
+  serializeInboxItem,
+  unreadCount,
+  markInboxRead,
+  markAllInboxRead,
+} from "../services/notificationInbox.js";
+import { paginate } from "../utils/pagination.js";
 
 const router = express.Router();
 
+// Every /api/user route acts on the caller's own profile.
+router.use(requireUser);
+
 /**
  * POST /api/user/register-token
- * body: { user_id: string, fcm_token: string }
+ * body: {
+ *   fcm_token: string, transport?: "fcm"|"apns"|"webpush",
+ *   subscription?: PushSubscription (webpush, instead of fcm_token),
+ *   platform?: "ios"|"android"|"web", appVersion?, locale?, deviceId?,
+ *   settings?: { enabled?, collections? }
+ * }  (user from the ID token)
+ * Call on every app start; refreshes lastSeenAt.
  */
 router.post("/register-token", async (req, res) => {
   try {
-    const { user_id, fcm_token } = req.body || {};
-    if (!user_id || !fcm_token) {
-      return res.status(400).json({ error: "user_id and fcm_token are required" });
+    const user_id = req.user.uid;
+    const { fcm_token, ...info } = req.body || {};
+    if (!fcm_token && !info.subscription) {
+      return res.status(400).json({ error: "fcm_token is required" });
     }
-    const r = await registerFcmToken(user_id, fcm_token);
-    if (r?.error) return res.status(500).json(r);
-    return res.json({ ok: true });
+    const r = await registerDeviceToken(user_id, { ...info, token: fcm_token });
+    if (r.error) return res.status(400).json({ error: r.error });
+    return res.json({ ok: true, device: r.device });
   } catch (e) {
     console.error("❌ register-token failed:", e);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
+/**
+ * POST /api/user/unregister-token
+ * body: { fcm_token: string }  (logout)
+ */
+router.post("/unregister-token", async (req, res) => {
+  try {
+    const { fcm_token } = req.body || {};
+    if (!fcm_token) {
+      return res.status(400).json({ error: "fcm_token is required" });
+    }
+    const r = await unregisterDeviceToken(req.user.uid, fcm_token);
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error("❌ unregister-token failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/user/webpush-key
+ * VAPID public key browsers need for pushManager.subscribe().
+ */
+router.get("/webpush-key", (_req, res) => {
+  if (!VAPID_PUBLIC_KEY) return res.status(404).json({ error: "Web Push is not configured" });
+  res.json({ publicKey: VAPID_PUBLIC_KEY });
+});
+
+/**
+ * GET /api/user/devices
+ * The caller's registered devices, most recently seen first.
+ */
+router.get("/devices", async (req, res) => {
+  try {
+    res.json(await listDevices(req.user.uid));
+  } catch (e) {
+    console.error("❌ /devices failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * PATCH /api/user/devices/:id
+ * body: { enabled?: boolean, collections?: string[] | null }
+ */
+router.patch("/devices/:id", async (req, res) => {
+  try {
+    const r = await updateDeviceSettings(req.user.uid, req.params.id, req.body || {});
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true, device: r.device });
+  } catch (e) {
+    console.error("❌ PATCH /devices failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * ✅ PUT /api/user/location
- * body: { user_id: string, lat: number, lng: number, radius_mi?: number }
- * Stores lastLocation for geofencing and distance filters.
+ * body: { lat: number, lng: number, radius_mi?: number }
+ * Stores lastLocation (GeoJSON Point) for geofencing and distance filters.
  */
 router.all("/location", async (req, res) => {
   try {
-    const { user_id, lat, lng } = req.body || {};
-    if (!user_id || typeof lat !== "number" || typeof lng !== "number") {
-      return res.status(400).json({ error: "user_id, lat, lng are required" });
+    const user_id = req.user.uid;
+    const { lat, lng } = req.body || {};
+    if (typeof lat !== "number" || typeof lng !== "number") {
+      return res.status(400).json({ error: "lat, lng are required" });
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return res.status(400).json({ error: "lat, lng out of range" });
     }
 
     const db = getDB();
@@ -42,9 +141,10 @@ router.all("/location", async (req, res) => {
       { user_id },
       {
         $set: {
-          lastLocation: { lat, lng },
+          lastLocation: toGeoPoint(lat, lng),
           updatedAt: new Date(),
         },
+        $setOnInsert: { createdAt: new Date() },
       },
       { upsert: true }
     );
@@ -55,32 +155,88 @@ router.all("/location", async (req, res) => {
   }
 });
 
+const SETTINGS_PROJECTION = {
+  radiusMi: 1,
+  notificationsEnabled: 1,
+  notificationPrefs: 1,
+  contacts: 1,
+};
+
+function settingsResponse(u) {
+  return {
+    radiusMi: u?.radiusMi ?? null,
+    notificationsEnabled: u?.notificationsEnabled !== false,
+    ...effectivePrefs(u),
+    contacts: serializeContacts(u),
+  };
+}
+
+/**
+ * GET /api/user/settings
+ * Geofence + notification preferences (defaults filled in).
+ */
+router.get("/settings", async (req, res) => {
+  try {
+    const db = getDB();
+    const u = await db
+      .collection("users")
+      .findOne({ user_id: req.user.uid }, { projection: SETTINGS_PROJECTION });
+    res.json(settingsResponse(u));
+  } catch (e) {
+    console.error("❌ GET /settings failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
 /**
  * PATCH /api/user/settings
- * body: { user_id: string, radiusMi?: number, notificationsEnabled?: boolean }
+ * body: {
+ *   radiusMi?: number, notificationsEnabled?: boolean,
+ *   collections?: string[] | null, types?: string[] | null,
+ *   minAlertSeverity?: "Minor"|"Moderate"|"Severe"|"Extreme" | null,
+ *   quietHours?: { start: "HH:MM", end: "HH:MM", timezone: string } | null,
+ *   radiusMiByCollection?: { [collection]: number | null } | null,
+ *   fallbackChannels?: { sms?: boolean, email?: boolean } | null,
+ *   delivery?: { [eventType]: "instant"|"digest" | null } | null,
+ *   digestIntervalMinutes?: number | null   (15-1440)
+ * }
+ * null resets a preference to its default. Returns the updated settings.
  */
 router.patch("/settings", async (req, res) => {
   try {
-    const { user_id, radiusMi, notificationsEnabled } = req.body || {};
-    if (!user_id) return res.status(400).json({ error: "user_id is required" });
+    const user_id = req.user.uid;
+    const body = req.body || {};
+    const { radiusMi, notificationsEnabled } = body;
+
+    if (radiusMi !== undefined && !isValidRadiusMi(radiusMi))
+      return res
+        .status(400)
+        .json({ error: `radiusMi must be 0-${MAX_NOTIFY_RADIUS_MI} miles` });
 
-    const update = {};
+    const prefs = validateNotificationPrefs(body);
+    if (prefs.error) return res.status(400).json({ error: prefs.error });
+
+    const update = { ...prefs.set };
     if (typeof radiusMi === "number") update["radiusMi"] = radiusMi;
     if (typeof notificationsEnabled === "boolean")
       update["notificationsEnabled"] = notificationsEnabled;
 
-    if (Object.keys(update).length === 0) {
+    if (Object.keys(update).length === 0 && Object.keys(prefs.unset).length === 0) {
       return res.status(400).json({ error: "No valid fields to update" });
     }
 
     const db = getDB();
-    await db.collection("users").updateOne(
+    const u = await db.collection("users").findOneAndUpdate(
       { user_id },
-      { $set: { ...update, updatedAt: new Date() } },
-      { upsert: true }
+      {
+        $set: { ...update, updatedAt: new Date() },
+        ...(Object.keys(prefs.unset).length ? { $unset: prefs.unset } : {}),
+        $setOnInsert: { createdAt: new Date() },
+      },
+      { upsert: true, returnDocument: "after", projection: SETTINGS_PROJECTION }
     );
 
-    res.json({ ok: true });
+    res.json({ ok: true, settings: settingsResponse(u) });
   } catch (e) {
     console.error("❌ /settings failed:", e);
     res.status(500).json({ error: "Internal server error" });
@@ -88,13 +244,133 @@ router.patch("/settings", async (req, res) => {
 });
 
 /**
- * GET /api/user/me?user_id=abc
+ * POST /api/user/contacts/:channel   (channel: sms | email)
+ * body: { phone: "+15551234567" } | { email: "a@b.org" }
+ * Saves the contact unverified and sends it a 6-digit code.
+ */
+router.post("/contacts/:channel", rateLimit("contact_verify"), async (req, res) => {
+  try {
+    const { channel } = req.params;
+    const value = channel === "sms" ? req.body?.phone : req.body?.email;
+    const r = await startContactVerification(req.user.uid, channel, value);
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true, contact: r.contact });
+  } catch (e) {
+    console.error("❌ POST /contacts failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/user/contacts/:channel/verify
+ * body: { code: "123456" }
+ */
+router.post("/contacts/:channel/verify", async (req, res) => {
+  try {
+    const r = await confirmContactVerification(req.user.uid, req.params.channel, req.body?.code);
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true, contact: r.contact });
+  } catch (e) {
+    console.error("❌ /contacts verify failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * DELETE /api/user/contacts/:channel
+ */
+router.delete("/contacts/:channel", async (req, res) => {
+  try {
+    const r = await removeContact(req.user.uid, req.params.channel);
+    if (r.error) return res.status(r.status || 400).json({ error: r.error });
+    res.json({ ok: true });
+  } catch (e) {
+    console.error("❌ DELETE /contacts failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/user/notifications?limit=&cursor=&unread=true
+ * The caller's inbox, newest first, plus the unread count. Items carry
+ * the push data (collection, docId, deeplink).
+ */
+router.get("/notifications", async (req, res) => {
+  try {
+    const user_id = req.user.uid;
+    const { unread } = req.query;
+    if (unread !== undefined && !["true", "false"].includes(String(unread)))
+      return res.status(400).json({ error: "unread must be true or false" });
+
+    const filter = { user_id, ...(unread === "true" ? { read: false } : {}) };
+    const page = await paginate(getDB().collection("notification_inbox"), filter, {
+      query: req.query,
+      sortField: "createdAt",
+      defaultLimit: 30,
+      maxLimit: 100,
+    });
+    if (page.error) return res.status(400).json({ error: page.error });
+
+    res.json({
+      count: page.items.length,
+      items: page.items.map(serializeInboxItem),
+      nextCursor: page.nextCursor,
+      unreadCount: await unreadCount(user_id),
+    });
+  } catch (e) {
+    console.error("❌ /notifications failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/user/notifications/unread-count
+ * Badge count only.
+ */
+router.get("/notifications/unread-count", async (req, res) => {
+  try {
+    res.json({ unreadCount: await unreadCount(req.user.uid) });
+  } catch (e) {
+    console.error("❌ /notifications/unread-count failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/user/notifications/read
+ * body: { ids: string[] }
+ */
+router.post("/notifications/read", async (req, res) => {
+  try {
+    const r = await markInboxRead(req.user.uid, req.body?.ids);
+    if (r.error) return res.status(400).json({ error: r.error });
+    res.json({ ok: true, updated: r.updated, unreadCount: await unreadCount(req.user.uid) });
+  } catch (e) {
+    console.error("❌ /notifications/read failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * POST /api/user/notifications/read-all
+ */
+router.post("/notifications/read-all", async (req, res) => {
+  try {
+    const r = await markAllInboxRead(req.user.uid);
+    res.json({ ok: true, updated: r.updated, unreadCount: 0 });
+  } catch (e) {
+    console.error("❌ /notifications/read-all failed:", e);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+/**
+ * GET /api/user/me
  * Returns minimal profile for debugging geofence + push.
  */
 router.get("/me", async (req, res) => {
   try {
-    const { user_id } = req.query;
-    if (!user_id) return res.status(400).json({ error: "user_id is required" });
+    const user_id = req.user.uid;
 
     const db = getDB();
     const u = await db
@@ -110,19 +386,20 @@ router.get("/me", async (req, res) => {
 
 /**
  * POST /api/user/test-push
- * body: { token?: string, user_id?: string, title?, body? }
- * Sends a test push to a token or to all tokens of a user.
+ * body: { token?: string, title?, body? }
+ * Sends a test push to a token or to all tokens of the caller.
  */
-router.post("/test-push", async (req, res) => {
+router.post("/test-push", rateLimit("test_push"), async (req, res) => {
   try {
-    const { token, user_id, title, body } = req.body || {};
+    const user_id = req.user.uid;
+    const { token, title, body } = req.body || {};
     let tokens = [];
 
     const db = getDB();
 
     if (token) {
       tokens = [token];
-    } else if (user_id) {
+    } else {
       const u = await db.collection("users").findOne(
         { user_id },
         { projection: { fcm_tokens: 1 } }
@@ -130,8 +407,6 @@ router.post("/test-push", async (req, res) => {
       tokens = (u?.fcm_tokens || []).filter(
         (t) => typeof t === "string" && t.length > 10
       );
-    } else {
-      return res.status(400).json({ error: "Provide token or user_id" });
     }
 
     if (tokens.length === 0) {
@@ -144,7 +419,6 @@ router.post("/test-push", async (req, res) => {
         body: body || "This is a test push from /api/user/test-push",
       },
       data: { deeplink: "disasterhelp://home" },
-      tokens,
       android: {
         priority: "high",
         notification: { channelId: "alerts" },
@@ -155,15 +429,20 @@ router.post("/test-push", async (req, res) => {
       },
     };
 
-    const resp = await admin.messaging().sendEachForMulticast(message);
+    const transports = await transportsFor(tokens);
+    const results = await deliverPush(
+      message,
+      tokens.map((t) => ({ token: t, transport: transports.get(t) || "fcm" }))
+    );
+    const successCount = results.filter((r) => r.status === "sent").length;
 
-    console.log(`[PushTest] Sent to ${tokens.length}, success=${resp.successCount}`);
+    console.log(`[PushTest] Sent to ${tokens.length}, success=${successCount}`);
     res.json({
-      successCount: resp.successCount,
-      failureCount: resp.failureCount,
-      errors: resp.responses
+      successCount,
+      failureCount: tokens.length - successCount,
+      errors: results
         .map((r, i) =>
-          !r.success ? { token: tokens[i], code: r.error?.code } : null
+          r.status !== "sent" ? { token: tokens[i], code: r.errorCode } : null
         )
         .filter(Boolean),
     });
@@ -0,0 +1,35 @@
+// src/services/auditLog.js
+import { getDB } from "../db.js";
+
+/**
+ * Append-only audit trail (audit_log) for moderation-relevant actions:
+ * resolve, delete, role changes. Stores a snapshot of the target so an
+ * incident can be reconstructed after the TTL removes the original post.
+ *
+ * Never throws — a failed audit write must not fail the user action.
+ */
+export async function recordAudit({
+  action,
+  collection,
+  docId,
+  actorId,
+  actorRole = null,
+  snapshot = null,
+  meta = {},
+}) {
+  try {
+    const db = getDB();
+    await db.collection("audit_log").insertOne({
+      action,
+      collection,
+      docId: docId != null ? String(docId) : null,
+      actorId: actorId || null,
+      actorRole,
+      snapshot,
+      meta,
+      timestamp: new Date(),
+    });
+  } catch (err) {
+    console.error(`audit_log (${action}) failed:`, err.message);
+  }
+}
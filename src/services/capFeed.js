@@ -0,0 +1,168 @@
+/**
+ * /src/services/capFeed.js
+ * -------------------------------------------------------------
+ * CAP 1.2 <alert> documents for community-reported hazards, so
+ * emergency managers can subscribe with standard CAP tools.
+ *
+ *   ✅ Only verified hazards (enough confirms, more confirms than disputes)
+ *   ✅ types → CAP category + event
+ *   ✅ Circle area around the reported point
+ *   ✅ Lifecycle: Alert → Update (resolved) → Cancel (deleted/hidden),
+ *      each later message referencing the earlier ones
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - CAP_FEED_MIN_CONFIRMS=3
+ *  - CAP_FEED_SENDER=disasterhelp.app
+ *  - CAP_FEED_RADIUS_KM=1
+ */
+
+import { XMLBuilder } from "fast-xml-parser";
+
+export const MIN_CONFIRMS = Number(process.env.CAP_FEED_MIN_CONFIRMS || 3);
+export const CAP_SENDER = process.env.CAP_FEED_SENDER || "disasterhelp.app";
+const RADIUS_KM = Number(process.env.CAP_FEED_RADIUS_KM || 1);
+const HAZARD_LIFETIME_MS = 72 * 3600 * 1000; // matches the hazards TTL index
+
+const CAP_NS = "urn:oasis:names:tc:emergency:cap:1.2";
+
+export const capXml = new XMLBuilder({
+  ignoreAttributes: false,
+  attributeNamePrefix: "@_",
+  suppressEmptyNode: true,
+});
+
+// Keyword → CAP category (first match wins); unmatched types are "Other"
+const CATEGORY_RULES = [
+  [/chemical|hazmat|gas leak|radiat|biolog/i, "CBRNE"],
+  [/fire|smoke/i, "Fire"],
+  [/flood|storm|tornado|hurricane|wind|hail|snow|ice|heat|lightning/i, "Met"],
+  [/earthquake|landslide|mudslide|sinkhole|tsunami|volcan/i, "Geo"],
+  [/road|bridge|traffic|transport|blocked/i, "Transport"],
+  [/power|line|outage|water main|infrastructure|utility/i, "Infra"],
+  [/medical|injur|disease|health/i, "Health"],
+  [/crime|looting|security|violence/i, "Security"],
+];
+
+function capCategory(types) {
+  for (const [re, category] of CATEGORY_RULES)
+    if (types.some((t) => re.test(t))) return category;
+  return "Other";
+}
+
+/** CAP dateTime: no fractional seconds, explicit offset (no "Z") */
+export function capDate(d) {
+  return new Date(d).toISOString().replace(/\.\d{3}Z$/, "+00:00");
+}
+
+/** Hazards eligible for the feed */
+export function verifiedHazardFilter() {
+  return {
+    confirmCount: { $gte: MIN_CONFIRMS },
+    $expr: { $gt: ["$confirmCount", { $ifNull: ["$disputeCount", 0] }] },
+  };
+}
+
+/**
+ * The hazard's message chain, oldest first:
+ *   Alert (created) [→ Update (resolved)] [→ Cancel (deleted or hidden)]
+ * Each entry: { identifier, sent, msgType, state }.
+ */
+export function hazardMessageChain(hazard) {
+  const id = String(hazard._id);
+  const chain = [
+    {
+      identifier: `${CAP_SENDER}.hazard.${id}`,
+      sent: hazard.timestamp,
+      msgType: "Alert",
+      state: "active",
+    },
+  ];
+  if (hazard.resolved === true)
+    chain.push({
+      identifier: `${CAP_SENDER}.hazard.${id}.resolved`,
+      sent: hazard.resolvedAt || hazard.timestamp,
+      msgType: "Update",
+      state: "resolved",
+    });
+  if (hazard.deleted === true || hazard.hidden === true)
+    chain.push({
+      identifier: `${CAP_SENDER}.hazard.${id}.cancel`,
+      sent: hazard.deletedAt || hazard.hiddenAt || hazard.resolvedAt || hazard.timestamp,
+      msgType: "Cancel",
+      state: "deleted",
+    });
+  return chain;
+}
+
+/**
+ * Latest CAP message for a hazard.
+ * @param {object} hazard - hazards document
+ * @param {string} [webBase] - public API base for <web> links
+ * @returns {{ alert: object, current: object }} XMLBuilder object for the
+ *   <alert> + the chain entry it represents
+ */
+export function hazardToCapAlert(hazard, webBase) {
+  const chain = hazardMessageChain(hazard);
+  const current = chain[chain.length - 1];
+  const previous = chain.slice(0, -1);
+
+  const types = (Array.isArray(hazard.types) ? hazard.types : [hazard.type])
+    .filter(Boolean)
+    .map(String);
+  const event = types.length ? types.join(", ") : "Community-reported hazard";
+  const [lng, lat] = hazard.geometry?.coordinates || [];
+  const id = String(hazard._id);
+
+  const headline =
+    current.state === "deleted"
+      ? `Withdrawn: ${event}`
+      : current.state === "resolved"
+      ? `Resolved: ${event}`
+      : `Community report: ${event}`;
+
+  const alert = {
+    "@_xmlns": CAP_NS,
+    identifier: current.identifier,
+    sender: CAP_SENDER,
+    sent: capDate(current.sent),
+    status: "Actual",
+    msgType: current.msgType,
+    scope: "Public",
+    ...(current.msgType === "Cancel"
+      ? { note: "Report withdrawn by its author or removed by a moderator." }
+      : {}),
+    ...(previous.length
+      ? {
+          references: previous
+            .map((m) => `${CAP_SENDER},${m.identifier},${capDate(m.sent)}`)
+            .join(" "),
+        }
+      : {}),
+    info: {
+      language: "en-US",
+      category: capCategory(types),
+      event,
+      responseType: current.state === "active" ? "Monitor" : "AllClear",
+      urgency: current.state === "active" ? "Expected" : "Past",
+      severity: "Unknown",
+      certainty: current.state === "active" ? "Observed" : "Unlikely",
+      effective: capDate(hazard.timestamp),
+      expires: capDate(new Date(hazard.timestamp).getTime() + HAZARD_LIFETIME_MS),
+      senderName: "Disaster Help community reports",
+      headline,
+      description: hazard.message || event,
+      ...(webBase ? { web: `${webBase}/api/hazards/${id}` } : {}),
+      parameter: [
+        { valueName: "confirmCount", value: String(hazard.confirmCount ?? 0) },
+        { valueName: "disputeCount", value: String(hazard.disputeCount ?? 0) },
+      ],
+      area: {
+        areaDesc: `Reported location ${lat?.toFixed?.(4)}, ${lng?.toFixed?.(4)}`,
+        circle: `${lat},${lng} ${RADIUS_KM}`,
+      },
+    },
+  };
+
+  return { alert, current };
+}
@@ -11,6 +11,11 @@
 // Adds deterministic jitter ONLY for fallback-based points (county/state),
 // never for polygon-derived or zone-derived points.
 //
+// Each alert keeps two geometries:
+// - geometry:  display Point (centroid / fallback) used by the map + legacy clients
+// - footprint: real Polygon/MultiPolygon area (CAP polygon, NWS alert or zone
+//              geometry, GDACS/Meteoalarm shapes) used for point-in-area queries
+//
 // Notes:
 // - “Global CAP” is not a single standard feed; GDACS + Meteoalarm are pragmatic MVP adds.
 // - Both global feeds are fully optional via env toggles.
@@ -29,12 +34,14 @@
 // - NOAA_ALERTS_URL, NOAA_USER_AGENT, NOAA_ZONE_CONCURRENCY
 // - FEMA_IPAWS_URL, USGS_QUAKES_URL
 // - ALERT_SKIP_MINOR, ALERT_GEO_JITTER, ALERT_JITTER_*
+// - ALERT_FOOTPRINT_MAX_POINTS=100000   (drop oversized footprints, keep the point)
 //
 // ---------------------------------------------------------------
 
 import axios from "axios";
 import { XMLParser } from "fast-xml-parser";
 import { getDB } from "../db.js";
+import { notifyUsersInAlertArea } from "./notifyAlertUsers.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
@@ -150,6 +157,12 @@ const NOAA_ZONE_CONCURRENCY = Math.max(
   safeNumber(process.env.NOAA_ZONE_CONCURRENCY, 8)
 );
 
+// Upper bound on stored footprint vertices (keeps docs well under 16MB)
+const FOOTPRINT_MAX_POINTS = Math.max(
+  100,
+  Math.floor(safeNumber(process.env.ALERT_FOOTPRINT_MAX_POINTS, 100000))
+);
+
 /* -------------------- Global feeds (no new deps) -------------------- */
 
 const GDACS_ENABLED =
@@ -325,6 +338,83 @@ function sanitizePointGeometry(geom) {
   return { type: "Point", coordinates: [wrapLon(lon), lat] };
 }
 
+// Ring cleanup for Mongo 2dsphere: finite lon/lat, no repeated vertices, closed.
+function sanitizeRing(ring) {
+  if (!Array.isArray(ring)) return null;
+  const out = [];
+  for (const p of ring) {
+    if (!Array.isArray(p) || p.length < 2) continue;
+    const lon = wrapLon(Number(p[0]));
+    const lat = Number(p[1]);
+    if (!isFiniteLonLat(lon, lat)) continue;
+    const prev = out[out.length - 1];
+    if (prev && prev[0] === lon && prev[1] === lat) continue;
+    out.push([lon, lat]);
+  }
+  if (out.length < 3) return null;
+
+  const [firstLon, firstLat] = out[0];
+  const [lastLon, lastLat] = out[out.length - 1];
+  if (firstLon !== lastLon || firstLat !== lastLat) out.push([firstLon, firstLat]);
+
+  return out.length >= 4 ? out : null;
+}
+
+function sanitizePolygonCoords(rings) {
+  if (!Array.isArray(rings) || !rings.length) return null;
+  const outer = sanitizeRing(rings[0]);
+  if (!outer) return null;
+  const holes = rings.slice(1).map(sanitizeRing).filter(Boolean);
+  return [outer, ...holes];
+}
+
+function countFootprintPoints(geom) {
+  if (!geom) return 0;
+  const polys = geom.type === "Polygon" ? [geom.coordinates] : geom.coordinates;
+  return polys.reduce(
+    (n, rings) => n + rings.reduce((m, ring) => m + ring.length, 0),
+    0
+  );
+}
+
+function sanitizeAreaGeometry(geom) {
+  if (!geom || !Array.isArray(geom.coordinates)) return null;
+
+  let out = null;
+  if (geom.type === "Polygon") {
+    const rings = sanitizePolygonCoords(geom.coordinates);
+    if (rings) out = { type: "Polygon", coordinates: rings };
+  } else if (geom.type === "MultiPolygon") {
+    const polys = geom.coordinates.map(sanitizePolygonCoords).filter(Boolean);
+    if (polys.length === 1) out = { type: "Polygon", coordinates: polys[0] };
+    else if (polys.length > 1) out = { type: "MultiPolygon", coordinates: polys };
+  }
+
+  if (out && countFootprintPoints(out) > FOOTPRINT_MAX_POINTS) {
+    console.warn(
+      `⚠️ Footprint dropped (${countFootprintPoints(out)} points > ${FOOTPRINT_MAX_POINTS})`
+    );
+    return null;
+  }
+  return out;
+}
+
+// Union several Polygon/MultiPolygon shapes into one footprint (no dissolve).
+function mergeAreaGeometries(geoms) {
+  const polys = [];
+  for (const g of geoms || []) {
+    if (!g) continue;
+    if (g.type === "Polygon") polys.push(g.coordinates);
+    else if (g.type === "MultiPolygon") polys.push(...g.coordinates);
+  }
+  if (!polys.length) return null;
+  return sanitizeAreaGeometry(
+    polys.length === 1
+      ? { type: "Polygon", coordinates: polys[0] }
+      : { type: "MultiPolygon", coordinates: polys }
+  );
+}
+
 function isMinorSeverity(sev) {
   return String(sev || "").trim().toLowerCase() === "minor";
 }
@@ -811,7 +901,7 @@ function parseDateMaybe(v) {
 /*  NOAA ZONE GEOMETRY SUPPORT                                        */
 /* ------------------------------------------------------------------ */
 
-// Cache key: "type:ID" -> Promise<{ centroid:[lon,lat], bbox:[...]} | null>
+// Cache key: "type:ID" -> Promise<{ centroid:[lon,lat], bbox:[...], footprint } | null>
 const zoneGeoCache = new Map();
 
 function zoneKey(type, id) {
@@ -846,6 +936,50 @@ function parseZoneRef(ref) {
   return null;
 }
 
+/* ------------------------------------------------------------------ */
+/*  CAP REFERENCES (Update / Cancel threading)                        */
+/* ------------------------------------------------------------------ */
+
+// CAP <references>: space-separated "sender,identifier,sent" triples.
+// NWS API: array of { "@id", identifier, sender, sent } objects.
+function parseCapReferences(raw) {
+  if (!raw) return [];
+
+  const items = Array.isArray(raw)
+    ? raw
+    : String(textField(raw) || raw).trim().split(/\s+/);
+
+  const out = [];
+  for (const item of items) {
+    let sender = "";
+    let identifier = "";
+    let sentRaw = null;
+
+    if (item && typeof item === "object") {
+      sender = item.sender || "";
+      identifier =
+        item.identifier ||
+        (typeof item["@id"] === "string" ? item["@id"].split("/").pop() : "");
+      sentRaw = item.sent || null;
+    } else {
+      const parts = String(item || "").split(",");
+      if (parts.length < 2) continue;
+      [sender, identifier, sentRaw] = parts;
+    }
+
+    identifier = String(identifier || "").trim();
+    if (!identifier) continue;
+
+    const sent = sentRaw ? new Date(sentRaw) : null;
+    out.push({
+      sender: String(sender || "").trim(),
+      identifier,
+      sent: sent && !isNaN(sent.getTime()) ? sent : null,
+    });
+  }
+  return out;
+}
+
 // Expand UGC strings like "AKZ121-122-123" or "TXZ001>005"
 function expandUgcString(input) {
   const s = String(input || "").trim().toUpperCase();
@@ -943,7 +1077,8 @@ async function fetchZoneGeo(type, id) {
     if (!centroidGeom) return null;
 
     const bbox = bboxFromPoints(pts);
-    return { centroid: centroidGeom.coordinates, bbox };
+    const footprint = sanitizeAreaGeometry(geom);
+    return { centroid: centroidGeom.coordinates, bbox, footprint };
   } catch (err) {
     console.warn(`⚠️ Zone fetch failed ${type}/${id}:`, err.message);
     return null;
@@ -1026,9 +1161,11 @@ async function centroidFromNoaaZones(props = {}) {
 
   const centroids = [];
   const bboxes = [];
+  const footprints = [];
   for (const zg of zoneGeos) {
     if (zg?.centroid && Array.isArray(zg.centroid)) centroids.push(zg.centroid);
     if (zg?.bbox && Array.isArray(zg.bbox) && zg.bbox.length === 4) bboxes.push(zg.bbox);
+    if (zg?.footprint) footprints.push(zg.footprint);
   }
 
   if (!centroids.length) return null;
@@ -1054,6 +1191,7 @@ async function centroidFromNoaaZones(props = {}) {
     geometry,
     geometryMethod: centroids.length === 1 ? "noaa-zone-centroid" : "noaa-zones-centroid",
     bbox,
+    footprint: mergeAreaGeometries(footprints),
   };
 }
 
@@ -1215,6 +1353,7 @@ function normalizeGdacsFeature(feature) {
       geometry,
       geometryMethod: `gdacs-${method || "geojson"}`,
       bbox,
+      footprint: sanitizeAreaGeometry(feature?.geometry),
       hasGeometry: true,
       title: String(headlineText).trim(),
       summary: descriptionText.trim(),
@@ -1597,6 +1736,9 @@ function normalizeMeteoItem(item, isAtom = false) {
     let geometry = null;
     let geometryMethod = null;
 
+    const poly = parsePolygon(textField(item?.polygon));
+    const footprint = sanitizeAreaGeometry(poly);
+
     const ptStr = textField(item?.point);
     if (ptStr) {
       const g = parseGeoRssPoint(ptStr);
@@ -1607,8 +1749,6 @@ function normalizeMeteoItem(item, isAtom = false) {
     }
 
     if (!geometry) {
-      const polyStr = textField(item?.polygon);
-      const poly = parsePolygon(polyStr);
       if (poly) {
         const c = polygonCentroid(poly);
         if (c) {
@@ -1675,6 +1815,7 @@ function normalizeMeteoItem(item, isAtom = false) {
       geometry,
       geometryMethod,
       bbox: null,
+      footprint,
       hasGeometry: true,
 
       title: `${severity} ${hazardLabel}`,
@@ -1823,6 +1964,20 @@ function normalizeCapAlert(entry, feed) {
       root["cap:polygon"] ||
       null;
 
+    // Footprint: every <polygon> of every <area> (CAP allows several of each)
+    const areaList = Array.isArray(areaRaw) ? areaRaw : [areaRaw];
+    const polygonsOf = (node) => {
+      const raw = node?.polygon || node?.["cap:polygon"];
+      if (!raw) return [];
+      return Array.isArray(raw) ? raw : [raw];
+    };
+    let polygonStrings = areaList.flatMap(polygonsOf);
+    if (!polygonStrings.length) polygonStrings = polygonsOf(info);
+    if (!polygonStrings.length) polygonStrings = polygonsOf(root);
+    const footprint = mergeAreaGeometries(
+      polygonStrings.map((p) => parsePolygon(textField(p)))
+    );
+
     if (Array.isArray(polygonRaw)) polygonRaw = polygonRaw.join(" ");
     const polygonGeom = parsePolygon(polygonRaw);
 
@@ -2026,12 +2181,14 @@ function normalizeCapAlert(entry, feed) {
       ),
       status: root.status || "Actual",
       msgType: root.msgType || "Alert",
+      references: parseCapReferences(root.references || root["cap:references"]),
       scope: root.scope || "Public",
       info: infoBlock,
       area: { areaDesc: areaDesc || "", polygon: polygonRaw || null },
       geometry,
       geometryMethod,
       bbox,
+      footprint,
       hasGeometry: true,
       title: String(headlineText).trim(),
       summary: String(descriptionText).trim(),
@@ -2100,12 +2257,14 @@ async function normalizeNoaaAlert(feature) {
     let geometry = null;
     let geometryMethod = null;
     let bbox = null;
+    let footprint = null;
 
     // 1) Use alert geometry if present
     const pts = flattenNoaaGeometryPoints(feature.geometry);
     if (pts.length) {
       geometry = pointsCentroid(pts);
       bbox = bboxFromPoints(pts);
+      footprint = sanitizeAreaGeometry(feature.geometry);
       geometryMethod = `noaa-geom-${String(feature.geometry?.type || "geom").toLowerCase()}`;
     }
 
@@ -2116,6 +2275,7 @@ async function normalizeNoaaAlert(feature) {
         geometry = hit.geometry;
         geometryMethod = hit.geometryMethod;
         bbox = hit.bbox || null;
+        footprint = hit.footprint || null;
       }
     }
 
@@ -2219,12 +2379,14 @@ async function normalizeNoaaAlert(feature) {
       sent,
       status: props.status || "Actual",
       msgType: props.messageType || props.message_type || "Alert",
+      references: parseCapReferences(props.references),
       scope: props.scope || "Public",
       info: infoBlock,
       area: { areaDesc: areaDesc || "", polygon: null },
       geometry,
       geometryMethod,
       bbox,
+      footprint,
       hasGeometry: true,
       title: String(headlineText).trim(),
       summary: descriptionText.trim(),
@@ -2242,6 +2404,66 @@ async function normalizeNoaaAlert(feature) {
 /*  DB SAVE                                                           */
 /* ------------------------------------------------------------------ */
 
+/**
+ * Work out thread + active state for an incoming alert.
+ * - threadId is the identifier of the first message in the chain
+ * - a Cancel notice is never active itself
+ * - an alert already referenced by a newer message (out-of-order feeds,
+ *   re-polls of superseded alerts) stays inactive
+ */
+async function resolveLifecycle(collection, alert) {
+  const refIds = (alert.references || [])
+    .map((r) => r.identifier)
+    .filter((id) => id && id !== alert.identifier);
+
+  let threadId = alert.identifier;
+  if (refIds.length) {
+    const prior = await collection
+      .find(
+        { identifier: { $in: refIds } },
+        { projection: { identifier: 1, threadId: 1 } }
+      )
+      .sort({ sent: 1 })
+      .toArray();
+    threadId =
+      prior.find((p) => p.threadId)?.threadId ||
+      prior[0]?.identifier ||
+      refIds[0];
+  }
+
+  const msgType = String(alert.msgType || "Alert").toLowerCase();
+  const state = { threadId, refIds, msgType, active: msgType !== "cancel" };
+
+  const newer = await collection.findOne(
+    { "references.identifier": alert.identifier, identifier: { $ne: alert.identifier } },
+    { projection: { identifier: 1, msgType: 1 }, sort: { sent: -1 } }
+  );
+  if (newer) {
+    state.active = false;
+    state.supersededBy = newer.identifier;
+    if (String(newer.msgType).toLowerCase() === "cancel") state.cancelled = true;
+  }
+
+  return state;
+}
+
+// Retire the messages an Update/Cancel points at.
+async function applyLifecycle(collection, alert, state) {
+  if (!state.refIds.length) return;
+  if (state.msgType !== "update" && state.msgType !== "cancel") return;
+
+  const now = new Date();
+  const $set =
+    state.msgType === "cancel"
+      ? { active: false, cancelled: true, cancelledBy: alert.identifier, cancelledAt: now }
+      : { active: false, supersededBy: alert.identifier, supersededAt: now };
+
+  await collection.updateMany(
+    { identifier: { $in: state.refIds } },
+    { $set: { ...$set, threadId: state.threadId } }
+  );
+}
+
 async function saveAlerts(alerts) {
   if (!alerts || !alerts.length) return;
 
@@ -2258,6 +2480,7 @@ async function saveAlerts(alerts) {
 
   let saved = 0;
   let skipped = 0;
+  const inserted = [];
 
   for (const alert of alerts) {
     try {
@@ -2267,18 +2490,54 @@ async function saveAlerts(alerts) {
         continue;
       }
 
-      const doc = { ...alert, geometry: geom };
+      const footprint = sanitizeAreaGeometry(alert.footprint);
+      const { footprint: _rawFootprint, ...rest } = alert;
+      const lifecycle = await resolveLifecycle(collection, alert);
+      const doc = {
+        ...rest,
+        geometry: geom,
+        references: alert.references || [],
+        threadId: lifecycle.threadId,
+        active: lifecycle.active,
+      };
+      if (lifecycle.supersededBy) doc.supersededBy = lifecycle.supersededBy;
+      if (lifecycle.cancelled) doc.cancelled = true;
 
       if (Array.isArray(doc.bbox) && doc.bbox.length === 4) {
         const ok = doc.bbox.every((n) => Number.isFinite(n));
         if (!ok) doc.bbox = null;
       }
 
-      await collection.updateOne(
-        { identifier: alert.identifier },
-        { $set: doc },
-        { upsert: true }
-      );
+      let result;
+      try {
+        result = await collection.updateOne(
+          { identifier: alert.identifier },
+          footprint
+            ? { $set: { ...doc, footprint } }
+            : { $set: doc, $unset: { footprint: "" } },
+          { upsert: true }
+        );
+      } catch (err) {
+        // 16755 = "Can't extract geo keys" (self-intersecting / degenerate polygon).
+        // Keep the alert with its display point rather than losing it.
+        if (!footprint || err?.code !== 16755) throw err;
+        console.warn(
+          `⚠️ Invalid footprint for ${alert.identifier}; saving point only`
+        );
+        result = await collection.updateOne(
+          { identifier: alert.identifier },
+          { $set: doc, $unset: { footprint: "" } },
+          { upsert: true }
+        );
+      }
+
+      await applyLifecycle(collection, alert, lifecycle);
+
+      // Only brand-new "Alert" messages push; Updates/Cancels refine a thread
+      // users were already told about.
+      if (result?.upsertedId && lifecycle.msgType === "alert") {
+        inserted.push({ ...doc, footprint, _id: result.upsertedId });
+      }
 
       saved++;
     } catch (err) {
@@ -2293,6 +2552,11 @@ async function saveAlerts(alerts) {
   }
 
   console.log(`💾 Saved ${saved} alerts to MongoDB (skipped ${skipped})`);
+
+  // 🔔 Push newly inserted alerts to users inside the area (guarded per alert)
+  for (const alert of inserted) {
+    await notifyUsersInAlertArea(alert);
+  }
 }
 
 /* ------------------------------------------------------------------ */
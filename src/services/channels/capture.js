@@ -0,0 +1,31 @@
+// src/services/channels/capture.js
+// Local stand-in for SMS/email providers: records each message instead of
+// sending it (default when no provider is configured).
+//
+//   PUSH_CAPTURE_DIR=<dir>  → JSON lines in <dir>/channel-captures.jsonl
+//   otherwise               → Mongo channel_captures (7-day TTL)
+
+import crypto from "crypto";
+import path from "path";
+import { appendFile, mkdir } from "fs/promises";
+import { getDB } from "../../db.js";
+
+const CAPTURE_DIR = process.env.PUSH_CAPTURE_DIR || null;
+
+export function captureChannel(channel) {
+  return {
+    name: `capture-${channel}`,
+
+    async send(message) {
+      const row = { channel, ...message, capturedAt: new Date() };
+      if (CAPTURE_DIR) {
+        await mkdir(CAPTURE_DIR, { recursive: true });
+        await appendFile(path.join(CAPTURE_DIR, "channel-captures.jsonl"), JSON.stringify(row) + "\n");
+      } else {
+        await getDB().collection("channel_captures").insertOne(row);
+      }
+      console.log(`[CHANNEL][capture] 📼 ${channel} → ${message.to}`);
+      return { status: "sent", messageId: `capture-${crypto.randomUUID()}` };
+    },
+  };
+}
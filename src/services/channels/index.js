@@ -0,0 +1,46 @@
+// src/services/channels/index.js
+// Non-push delivery channels (SMS, email). Every provider implements
+//
+//   name
+//   send({ to, ...content }) → Promise<Result>
+//
+//   sms content    { text }
+//   email content  { subject, text, html }
+//   Result         { status: "sent" | "invalid" | "transient" | "failed",
+//                    messageId?, errorCode? }
+//
+// Env: SMS_PROVIDER=twilio | capture   (default: twilio when configured)
+//      EMAIL_PROVIDER=sendgrid | capture (default: sendgrid when configured)
+
+import twilioSms, { TWILIO_CONFIGURED } from "./twilioSms.js";
+import sendgridEmail, { SENDGRID_CONFIGURED } from "./sendgridEmail.js";
+import { captureChannel } from "./capture.js";
+
+export const CHANNELS = ["sms", "email"];
+
+const SMS_PROVIDER = String(
+  process.env.SMS_PROVIDER || (TWILIO_CONFIGURED ? "twilio" : "capture")
+).toLowerCase();
+const EMAIL_PROVIDER = String(
+  process.env.EMAIL_PROVIDER || (SENDGRID_CONFIGURED ? "sendgrid" : "capture")
+).toLowerCase();
+
+const PROVIDERS = {
+  sms: SMS_PROVIDER === "twilio" ? twilioSms : captureChannel("sms"),
+  email: EMAIL_PROVIDER === "sendgrid" ? sendgridEmail : captureChannel("email"),
+};
+
+/**
+ * Send on one channel. Never throws: provider errors come back as a
+ * transient result.
+ */
+export async function sendOnChannel(channel, message) {
+  const provider = PROVIDERS[channel];
+  if (!provider) return { status: "failed", errorCode: `${channel}/unknown-channel` };
+  try {
+    return await provider.send(message);
+  } catch (err) {
+    console.warn(`[CHANNEL][${provider.name}] ⚠️ send failed:`, err.message || err);
+    return { status: "transient", errorCode: `${provider.name}/${err.code || "send-error"}` };
+  }
+}
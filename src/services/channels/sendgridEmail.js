@@ -0,0 +1,44 @@
+// src/services/channels/sendgridEmail.js
+// Email through SendGrid's v3 Mail Send API.
+//
+// Env: SENDGRID_API_KEY, EMAIL_FROM (verified sender),
+//      EMAIL_FROM_NAME=Disaster Help
+
+import axios from "axios";
+
+const API_KEY = process.env.SENDGRID_API_KEY;
+const FROM = process.env.EMAIL_FROM;
+const FROM_NAME = process.env.EMAIL_FROM_NAME || "Disaster Help";
+
+export const SENDGRID_CONFIGURED = Boolean(API_KEY && FROM);
+
+export default {
+  name: "sendgrid",
+
+  async send({ to, subject, text, html }) {
+    if (!SENDGRID_CONFIGURED) return { status: "failed", errorCode: "sendgrid/not-configured" };
+
+    const res = await axios.post(
+      "https://api.sendgrid.com/v3/mail/send",
+      {
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: FROM, name: FROM_NAME },
+        subject,
+        content: [
+          { type: "text/plain", value: text },
+          ...(html ? [{ type: "text/html", value: html }] : []),
+        ],
+      },
+      {
+        headers: { Authorization: `Bearer ${API_KEY}` },
+        timeout: 10_000,
+        validateStatus: () => true,
+      }
+    );
+
+    if (res.status === 202) return { status: "sent", messageId: res.headers["x-message-id"] || null };
+    const errorCode = `sendgrid/${res.status}`;
+    if (res.status === 429 || res.status >= 500) return { status: "transient", errorCode };
+    return { status: "failed", errorCode };
+  },
+};
@@ -0,0 +1,86 @@
+// src/services/channels/templates.js
+// SMS + email text for each fallback message kind.
+//
+//   renderTemplate(name, channel, vars) → { text } (sms)
+//                                       | { subject, text, html } (email)
+//
+// Env: FALLBACK_LINK_BASE=https://disasterhelp.app  (web links in SMS and
+//      email; without it the app deeplink is used)
+
+const LINK_BASE = (process.env.FALLBACK_LINK_BASE || "").replace(/\/$/, "");
+const SMS_MAX_LENGTH = 320; // two concatenated segments
+const OPT_OUT = "Turn off alerts by text/email in Disaster Help settings.";
+
+/** Link to a post/alert: web page when configured, app deeplink otherwise */
+export function detailLink(collection, id) {
+  return LINK_BASE
+    ? `${LINK_BASE}/detail?c=${encodeURIComponent(collection)}&id=${encodeURIComponent(id)}`
+    : `disasterhelp://detail?c=${collection}&id=${id}`;
+}
+
+const escapeHtml = (s) =>
+  String(s ?? "").replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+function clip(text, max) {
+  return text.length <= max ? text : `${text.slice(0, max - 1)}…`;
+}
+
+function email(subject, lines, link) {
+  const text = [...lines, "", link ? `Details: ${link}` : null, "", OPT_OUT]
+    .filter((l) => l !== null)
+    .join("\n");
+  const html =
+    lines.map((l) => `<p>${escapeHtml(l)}</p>`).join("") +
+    (link ? `<p><a href="${escapeHtml(link)}">View details</a></p>` : "") +
+    `<p style="color:#777;font-size:12px">${escapeHtml(OPT_OUT)}</p>`;
+  return { subject, text, html };
+}
+
+const TEMPLATES = {
+  /** vars: { text, types, distanceMi, link } */
+  emergency_help_request: {
+    sms: (v) =>
+      `🚨 EMERGENCY help request${v.distanceMi != null ? ` ${v.distanceMi} mi from you` : " near you"}: ${v.text} ${v.link}`,
+    email: (v) =>
+      email(
+        "🚨 Emergency help request near you",
+        [
+          `Someone${v.distanceMi != null ? ` ${v.distanceMi} miles from you` : " near you"} needs help urgently.`,
+          v.types ? `Type: ${v.types}` : null,
+          v.text,
+        ].filter(Boolean),
+        v.link
+      ),
+  },
+
+  /** vars: { severity, event, headline, area, link } */
+  cap_alert: {
+    sms: (v) => `⚠️ ${v.severity.toUpperCase()} ${v.event}: ${v.headline} ${v.link}`,
+    email: (v) =>
+      email(
+        `⚠️ ${v.severity} alert: ${v.event}`,
+        [v.headline, v.area ? `Area: ${v.area}` : null].filter(Boolean),
+        v.link
+      ),
+  },
+
+  /** vars: { code, ttlMinutes } */
+  contact_verification: {
+    sms: (v) =>
+      `Your Disaster Help verification code is ${v.code}. It expires in ${plural(v.ttlMinutes, "minute")}.`,
+    email: (v) => ({
+      subject: "Your Disaster Help verification code",
+      text: `Your verification code is ${v.code}. It expires in ${plural(v.ttlMinutes, "minute")}.\n\nIf you didn't request this, ignore this email.`,
+      html: `<p>Your verification code is <b>${escapeHtml(v.code)}</b>. It expires in ${plural(v.ttlMinutes, "minute")}.</p><p style="color:#777;font-size:12px">If you didn't request this, ignore this email.</p>`,
+    }),
+  },
+};
+
+export function renderTemplate(name, channel, vars) {
+  const render = TEMPLATES[name]?.[channel];
+  if (!render) throw new Error(`No ${channel} template "${name}"`);
+  const out = render(vars);
+  return channel === "sms" ? { text: clip(out.replace(/\s+/g, " ").trim(), SMS_MAX_LENGTH) } : out;
+}
@@ -0,0 +1,48 @@
+// src/services/channels/twilioSms.js
+// SMS through Twilio's Messages API.
+//
+// Env: TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM (E.164) or
+//      TWILIO_MESSAGING_SERVICE_SID
+
+import axios from "axios";
+
+const SID = process.env.TWILIO_ACCOUNT_SID;
+const AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const FROM = process.env.TWILIO_FROM;
+const MESSAGING_SERVICE_SID = process.env.TWILIO_MESSAGING_SERVICE_SID;
+
+export const TWILIO_CONFIGURED = Boolean(SID && AUTH_TOKEN && (FROM || MESSAGING_SERVICE_SID));
+
+// Twilio error codes for numbers that will never accept our messages
+const INVALID_NUMBER_CODES = new Set([21211, 21214, 21217, 21610, 21612, 21614]);
+
+export default {
+  name: "twilio",
+
+  async send({ to, text }) {
+    if (!TWILIO_CONFIGURED) return { status: "failed", errorCode: "twilio/not-configured" };
+
+    const form = new URLSearchParams({
+      To: to,
+      Body: text,
+      ...(MESSAGING_SERVICE_SID ? { MessagingServiceSid: MESSAGING_SERVICE_SID } : { From: FROM }),
+    });
+    const res = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${SID}/Messages.json`,
+      form.toString(),
+      {
+        auth: { username: SID, password: AUTH_TOKEN },
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        timeout: 10_000,
+        validateStatus: () => true,
+      }
+    );
+
+    if (res.status >= 200 && res.status < 300) return { status: "sent", messageId: res.data?.sid };
+    const code = res.data?.code;
+    const errorCode = `twilio/${code || res.status}`;
+    if (INVALID_NUMBER_CODES.has(code)) return { status: "invalid", errorCode };
+    if (res.status === 429 || res.status >= 500) return { status: "transient", errorCode };
+    return { status: "failed", errorCode };
+  },
+};
@@ -0,0 +1,176 @@
+/**
+ * /src/services/contacts.js
+ * -------------------------------------------------------------
+ * Verified phone number + email for SMS/email fallback, stored on
+ * users.contacts:
+ *
+ *   phone  { number (E.164), verified, verifiedAt }
+ *   email  { address, verified, verifiedAt }
+ *
+ * ✅ startContactVerification: saves the contact unverified and sends a
+ *    6-digit code over that channel (hash kept in contact_verifications)
+ * ✅ confirmContactVerification: checks the code (max attempts, expiry)
+ * ✅ removeContact
+ * Changing a number/address always resets it to unverified.
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - CONTACT_CODE_TTL_MINUTES=10
+ *  - CONTACT_CODE_MAX_ATTEMPTS=5
+ */
+
+import crypto from "crypto";
+import { getDB } from "../db.js";
+import { sendOnChannel } from "./channels/index.js";
+import { renderTemplate } from "./channels/templates.js";
+
+export const CONTACT_CHANNELS = {
+  sms: { field: "phone", key: "number" },
+  email: { field: "email", key: "address" },
+};
+
+const CODE_TTL_MINUTES = Number(process.env.CONTACT_CODE_TTL_MINUTES || 10);
+const CODE_TTL_MS = CODE_TTL_MINUTES * 60 * 1000;
+const MAX_ATTEMPTS = Number(process.env.CONTACT_CODE_MAX_ATTEMPTS || 5);
+
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashCode = (code) => crypto.createHash("sha256").update(String(code)).digest("hex");
+
+function normalizeContact(channel, value) {
+  if (typeof value !== "string") return null;
+  if (channel === "sms") {
+    const number = value.replace(/[\s().-]/g, "");
+    return E164_RE.test(number) ? number : null;
+  }
+  const address = value.trim().toLowerCase();
+  return address.length <= 254 && EMAIL_RE.test(address) ? address : null;
+}
+
+/** users.contacts → API shape */
+export function serializeContacts(user) {
+  const { phone, email } = user?.contacts || {};
+  return {
+    phone: phone ? { number: phone.number, verified: phone.verified === true } : null,
+    email: email ? { address: email.address, verified: email.verified === true } : null,
+  };
+}
+
+/**
+ * Store a new (unverified) contact and send it a code.
+ * Returns { ok, contact } or { error, status }.
+ */
+export async function startContactVerification(userId, channel, value) {
+  const spec = CONTACT_CHANNELS[channel];
+  if (!spec) return { error: "channel must be sms or email", status: 400 };
+  const contact = normalizeContact(channel, value);
+  if (!contact)
+    return {
+      error: channel === "sms" ? "phone must be E.164 (e.g. +15551234567)" : "Invalid email address",
+      status: 400,
+    };
+
+  const db = getDB();
+  const now = new Date();
+  await db.collection("users").updateOne(
+    { user_id: userId },
+    {
+      $set: {
+        [`contacts.${spec.field}`]: { [spec.key]: contact, verified: false, verifiedAt: null },
+        updatedAt: now,
+      },
+      $setOnInsert: { createdAt: now },
+    },
+    { upsert: true }
+  );
+
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  await db.collection("contact_verifications").updateOne(
+    { user_id: userId, channel },
+    {
+      $set: {
+        contact,
+        codeHash: hashCode(code),
+        attempts: 0,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + CODE_TTL_MS),
+      },
+    },
+    { upsert: true }
+  );
+
+  const result = await sendOnChannel(channel, {
+    to: contact,
+    ...renderTemplate("contact_verification", channel, { code, ttlMinutes: CODE_TTL_MINUTES }),
+  });
+  if (result.status !== "sent") {
+    console.warn(`[Contacts] ⚠️ ${channel} code to ${userId} not sent: ${result.errorCode}`);
+    return {
+      error:
+        result.status === "invalid"
+          ? `That ${spec.field} can't receive messages`
+          : "Could not send the verification code, try again later",
+      status: result.status === "invalid" ? 400 : 502,
+    };
+  }
+  return { ok: true, contact: { [spec.key]: contact, verified: false } };
+}
+
+/**
+ * Check a code. Returns { ok, contact } or { error, status }.
+ */
+export async function confirmContactVerification(userId, channel, code) {
+  const spec = CONTACT_CHANNELS[channel];
+  if (!spec) return { error: "channel must be sms or email", status: 400 };
+  if (typeof code !== "string" || !/^\d{6}$/.test(code))
+    return { error: "code must be 6 digits", status: 400 };
+
+  const db = getDB();
+  const now = new Date();
+  const pending = await db.collection("contact_verifications").findOneAndUpdate(
+    { user_id: userId, channel, expiresAt: { $gt: now }, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { returnDocument: "after" }
+  );
+  if (!pending) return { error: "No pending verification, request a new code", status: 410 };
+
+  const a = Buffer.from(pending.codeHash, "hex");
+  const b = Buffer.from(hashCode(code), "hex");
+  if (!crypto.timingSafeEqual(a, b)) {
+    const left = MAX_ATTEMPTS - pending.attempts;
+    return { error: left > 0 ? `Wrong code, ${left} attempt(s) left` : "Wrong code, request a new one", status: 400 };
+  }
+
+  // Only verify the contact the code was sent to (it may have changed since)
+  const r = await db.collection("users").updateOne(
+    { user_id: userId, [`contacts.${spec.field}.${spec.key}`]: pending.contact },
+    {
+      $set: {
+        [`contacts.${spec.field}.verified`]: true,
+        [`contacts.${spec.field}.verifiedAt`]: now,
+        updatedAt: now,
+      },
+    }
+  );
+  await db.collection("contact_verifications").deleteOne({ _id: pending._id });
+  if (r.matchedCount === 0) return { error: "Contact changed, request a new code", status: 409 };
+
+  console.log(`[Contacts] ✅ ${channel} verified for ${userId}`);
+  return { ok: true, contact: { [spec.key]: pending.contact, verified: true } };
+}
+
+/** Drop a contact (and any pending code). Returns { ok } or { error, status }. */
+export async function removeContact(userId, channel) {
+  const spec = CONTACT_CHANNELS[channel];
+  if (!spec) return { error: "channel must be sms or email", status: 400 };
+  const db = getDB();
+  await db
+    .collection("users")
+    .updateOne(
+      { user_id: userId },
+      { $unset: { [`contacts.${spec.field}`]: "" }, $set: { updatedAt: new Date() } }
+    );
+  await db.collection("contact_verifications").deleteOne({ user_id: userId, channel });
+  return { ok: true };
+}
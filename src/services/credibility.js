@@ -0,0 +1,278 @@
+/**
+ * /src/services/credibility.js
+ * -------------------------------------------------------------
+ * Credibility score (0..1) for crowd reports, recomputed on every vote.
+ *
+ *   score = weighted confirms vs. disputes (Beta(1,1) prior → 0.5 with
+ *           no votes) + a bonus when an active official alert covers
+ *           the post
+ *
+ *   vote weight = distance × account age × history × recency
+ *     distance  voter lastLocation → post (near voters count most)
+ *     age       users.createdAt (new accounts count less)
+ *     history   voter's own posts, minus ones hidden/removed by moderators
+ *     recency   voteTimes.<uid> (older votes fade)
+ *
+ *   ✅ Stored as doc.credibility { score, ... } so every read returns it
+ *   ✅ Auto-flags (flagged / flaggedReason "low_credibility") below the
+ *      threshold once enough votes are in; clears its own flag on recovery
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - CREDIBILITY_FLAG_THRESHOLD=0.3
+ *  - CREDIBILITY_MIN_VOTES=3           (votes before auto-flagging)
+ *  - CREDIBILITY_VOTE_HALF_LIFE_HOURS=24
+ *  - CREDIBILITY_ALERT_RADIUS_KM=25    (alerts without a footprint)
+ */
+
+import { getDB } from "../db.js";
+import { POST_TYPES } from "../postTypes/index.js";
+import { recordAudit } from "./auditLog.js";
+import { haversineDistanceMi, locationLatLng } from "../utils/geoUtils.js";
+
+const FLAG_THRESHOLD = Number(process.env.CREDIBILITY_FLAG_THRESHOLD || 0.3);
+const MIN_VOTES = Number(process.env.CREDIBILITY_MIN_VOTES || 3);
+const HALF_LIFE_MS =
+  Number(process.env.CREDIBILITY_VOTE_HALF_LIFE_HOURS || 24) * 3600 * 1000;
+const ALERT_RADIUS_KM = Number(process.env.CREDIBILITY_ALERT_RADIUS_KM || 25);
+
+const ALERT_BONUS = 0.1;
+const ALERT_TYPE_BONUS = 0.15; // alert event also matches one of the post types
+const MAX_VOTERS = 500;
+const DAY_MS = 24 * 3600 * 1000;
+
+export const INITIAL_CREDIBILITY = { score: 0.5, confirmWeight: 0, disputeWeight: 0 };
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+// ---------------------------------------------------------------------------
+// ⚖️ Vote weights
+// ---------------------------------------------------------------------------
+function distanceWeight(voter, [lng, lat]) {
+  const loc = locationLatLng(voter?.lastLocation);
+  if (!loc) return 0.5;
+  const km = haversineDistanceMi(loc.lat, loc.lng, lat, lng) * 1.609344;
+  if (km <= 5) return 1;
+  if (km >= 50) return 0.3;
+  return 1 - (0.7 * (km - 5)) / 45;
+}
+
+function ageWeight(voter, now) {
+  if (!voter?.createdAt) return 0.5;
+  const days = (now - new Date(voter.createdAt).getTime()) / DAY_MS;
+  return clamp(0.3 + (0.7 * days) / 30, 0.3, 1);
+}
+
+function historyWeight(history) {
+  if (!history) return 0.5;
+  return clamp(0.5 + 0.1 * history.posts - 0.3 * history.removed, 0.1, 1);
+}
+
+function recencyWeight(votedAt, now) {
+  const age = Math.max(0, now - new Date(votedAt).getTime());
+  return Math.max(0.25, 0.5 ** (age / HALF_LIFE_MS));
+}
+
+/** Per voter: { posts, removed } across all post collections */
+async function loadVoterHistory(db, voterIds) {
+  const history = new Map();
+  for (const type of POST_TYPES) {
+    const rows = await db
+      .collection(type.collection)
+      .aggregate([
+        { $match: { user_id: { $in: voterIds } } },
+        {
+          $group: {
+            _id: "$user_id",
+            posts: { $sum: 1 },
+            removed: {
+              $sum: {
+                $cond: [
+                  {
+                    $or: [
+                      { $eq: ["$hidden", true] },
+                      {
+                        $and: [
+                          { $eq: ["$deleted", true] },
+                          { $ne: ["$deletedBy", "$user_id"] },
+                        ],
+                      },
+                    ],
+                  },
+                  1,
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ])
+      .toArray();
+    for (const r of rows) {
+      const h = history.get(r._id) || { posts: 0, removed: 0 };
+      h.posts += r.posts;
+      h.removed += r.removed;
+      history.set(r._id, h);
+    }
+  }
+  return history;
+}
+
+// ---------------------------------------------------------------------------
+// 🚨 Agreement with official alerts
+// ---------------------------------------------------------------------------
+async function alertAgreement(db, doc, point) {
+  const [lng, lat] = point;
+  const now = new Date();
+  const alerts = await db
+    .collection("alerts_cap")
+    .find(
+      {
+        active: { $ne: false },
+        $and: [
+          {
+            $or: [
+              { expires: { $gt: now } },
+              { expires: { $exists: false } },
+              { expires: null },
+            ],
+          },
+          {
+            $or: [
+              {
+                footprint: {
+                  $geoIntersects: { $geometry: { type: "Point", coordinates: [lng, lat] } },
+                },
+              },
+              {
+                footprint: { $exists: false },
+                geometry: {
+                  $geoWithin: { $centerSphere: [[lng, lat], ALERT_RADIUS_KM / 6378.1] },
+                },
+              },
+            ],
+          },
+        ],
+      },
+      { projection: { "info.event": 1 } }
+    )
+    .limit(20)
+    .toArray();
+
+  if (!alerts.length) return { bonus: 0, alertIds: [] };
+
+  const types = (Array.isArray(doc.types) ? doc.types : [doc.type])
+    .filter(Boolean)
+    .map((t) => String(t).toLowerCase());
+  const typeMatch = alerts.some((a) => {
+    const event = String(a.info?.event || "").toLowerCase();
+    return event && types.some((t) => event.includes(t) || t.includes(event.split(" ")[0]));
+  });
+
+  return {
+    bonus: typeMatch ? ALERT_TYPE_BONUS : ALERT_BONUS,
+    alertIds: alerts.map((a) => a._id),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// 🧮 Score
+// ---------------------------------------------------------------------------
+/**
+ * Compute the credibility of a post document (no writes).
+ * @returns {Promise<{score:number, confirmWeight:number, disputeWeight:number,
+ *   voteCount:number, alertIds:Array, updatedAt:Date}>}
+ */
+export async function computeCredibility(collection, doc) {
+  const db = getDB();
+  const geoField = POST_TYPES.find((t) => t.collection === collection)?.geoField;
+  const point = doc[geoField]?.coordinates;
+  const now = Date.now();
+
+  const entries = Object.entries(doc.votes || {}).slice(0, MAX_VOTERS);
+  const voterIds = entries.map(([uid]) => uid);
+
+  const [voters, history] = voterIds.length
+    ? await Promise.all([
+        db
+          .collection("users")
+          .find({ user_id: { $in: voterIds } })
+          .project({ user_id: 1, lastLocation: 1, createdAt: 1 })
+          .toArray(),
+        loadVoterHistory(db, voterIds),
+      ])
+    : [[], new Map()];
+  const voterById = new Map(voters.map((u) => [u.user_id, u]));
+
+  let confirmWeight = 0;
+  let disputeWeight = 0;
+  for (const [uid, vote] of entries) {
+    const voter = voterById.get(uid);
+    const w =
+      (point ? distanceWeight(voter, point) : 0.5) *
+      ageWeight(voter, now) *
+      historyWeight(history.get(uid)) *
+      recencyWeight(doc.voteTimes?.[uid] || doc.timestamp || now, now);
+    if (vote === "confirm") confirmWeight += w;
+    else if (vote === "dispute") disputeWeight += w;
+  }
+
+  const voteScore = (confirmWeight + 1) / (confirmWeight + disputeWeight + 2);
+  const agreement = point ? await alertAgreement(db, doc, point) : { bonus: 0, alertIds: [] };
+
+  return {
+    score: Math.round(clamp(voteScore + agreement.bonus, 0, 1) * 1000) / 1000,
+    confirmWeight: Math.round(confirmWeight * 1000) / 1000,
+    disputeWeight: Math.round(disputeWeight * 1000) / 1000,
+    voteCount: entries.length,
+    alertIds: agreement.alertIds,
+    updatedAt: new Date(),
+  };
+}
+
+/**
+ * Recompute, store and (un)flag. Never throws; returns the credibility
+ * object or null.
+ *
+ * @param {string} collection - post collection
+ * @param {import("mongodb").ObjectId|string} docId
+ */
+export async function updateCredibility(collection, docId) {
+  try {
+    const db = getDB();
+    const coll = db.collection(collection);
+    const doc = await coll.findOne({ _id: docId });
+    if (!doc) return null;
+
+    const credibility = await computeCredibility(collection, doc);
+    const update = { $set: { credibility } };
+
+    const low = credibility.voteCount >= MIN_VOTES && credibility.score < FLAG_THRESHOLD;
+    if (low && !doc.flagged) {
+      update.$set.flagged = true;
+      update.$set.flaggedReason = "low_credibility";
+      update.$set.flaggedAt = new Date();
+    } else if (!low && doc.flagged && doc.flaggedReason === "low_credibility") {
+      update.$unset = { flagged: "", flaggedReason: "", flaggedAt: "" };
+    }
+
+    await coll.updateOne({ _id: doc._id }, update);
+
+    if (update.$set.flagged) {
+      console.log(`[CRED] 🚩 Auto-flagged ${collection}/${doc._id} (score ${credibility.score})`);
+      await recordAudit({
+        action: "auto_flag",
+        collection,
+        docId: doc._id,
+        actorId: "system",
+        snapshot: doc,
+        meta: { reason: "low_credibility", score: credibility.score },
+      });
+    }
+
+    return credibility;
+  } catch (err) {
+    console.error(`[CRED] ❌ updateCredibility ${collection}/${docId}:`, err);
+    return null;
+  }
+}
@@ -0,0 +1,350 @@
+/**
+ * /src/services/deviceTokens.js
+ * -------------------------------------------------------------
+ * Push token registry: one device_tokens record per push token.
+ *
+ *   { token, transport, user_id, platform, appVersion, locale, deviceId,
+ *     settings: { enabled, collections }, webPush?, createdAt, lastSeenAt }
+ *
+ *   transport: fcm (default) | apns (raw APNs device token) | webpush
+ *   (token = subscription endpoint, webPush = its { p256dh, auth } keys)
+ *
+ *   ✅ users.fcm_tokens mirrors the user's *enabled* tokens, so the
+ *      fan-out queries keep working unchanged
+ *   ✅ Same token under another user_id (shared phone, re-login) →
+ *      reassigned to the newest user
+ *   ✅ Same deviceId with a new token (FCM token rotation) → old token
+ *      dropped
+ *   ✅ Unregister on logout; prune tokens not seen for N days; tokens
+ *      FCM rejects are removed by the outbox
+ *   ✅ Per-device settings: mute a device, or limit it to some feeds
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - DEVICE_TOKEN_STALE_DAYS=60
+ */
+
+import { ObjectId } from "mongodb";
+import { getDB } from "../db.js";
+import { notifiableCollections } from "./notificationPrefs.js";
+import { TRANSPORTS } from "./push/index.js";
+
+export const PLATFORMS = ["ios", "android", "web"];
+export const DEFAULT_DEVICE_SETTINGS = { enabled: true, collections: null };
+
+const STALE_DAYS = Number(process.env.DEVICE_TOKEN_STALE_DAYS || 60);
+const LOCALE_RE = /^[A-Za-z]{2,3}([-_][A-Za-z0-9]{2,8})*$/;
+const APNS_TOKEN_RE = /^[0-9a-fA-F]{64,200}$/;
+const IN_CHUNK = 5000;
+
+const devices = () => getDB().collection("device_tokens");
+const users = () => getDB().collection("users");
+
+const isToken = (t) => typeof t === "string" && t.length > 10 && t.length <= 4096;
+
+/** API shape of a device record */
+export function serializeDevice(d) {
+  return {
+    id: String(d._id),
+    token: d.token,
+    transport: d.transport || "fcm",
+    platform: d.platform ?? null,
+    appVersion: d.appVersion ?? null,
+    locale: d.locale ?? null,
+    deviceId: d.deviceId ?? null,
+    settings: { ...DEFAULT_DEVICE_SETTINGS, ...(d.settings || {}) },
+    createdAt: d.createdAt,
+    lastSeenAt: d.lastSeenAt,
+  };
+}
+
+/**
+ * Validate per-device settings. Returns { set } ($set paths under
+ * `settings.`) or { error }.
+ */
+export function validateDeviceSettings(settings) {
+  if (settings === undefined) return { set: {} };
+  if (!settings || typeof settings !== "object" || Array.isArray(settings))
+    return { error: "settings must be an object" };
+
+  const set = {};
+  if (settings.enabled !== undefined) {
+    if (typeof settings.enabled !== "boolean") return { error: "settings.enabled must be a boolean" };
+    set["settings.enabled"] = settings.enabled;
+  }
+  if (settings.collections !== undefined) {
+    const c = settings.collections;
+    if (c !== null && (!Array.isArray(c) || c.some((x) => !notifiableCollections().includes(x))))
+      return {
+        error: `settings.collections must be a list of ${notifiableCollections().join(", ")}`,
+      };
+    set["settings.collections"] = c && Array.from(new Set(c));
+  }
+  return { set };
+}
+
+function validateMetadata({ platform, appVersion, locale, deviceId }) {
+  if (platform !== undefined && !PLATFORMS.includes(platform))
+    return `platform must be one of ${PLATFORMS.join(", ")}`;
+  if (appVersion !== undefined && (typeof appVersion !== "string" || appVersion.length > 32))
+    return "appVersion must be a string (max 32 chars)";
+  if (locale !== undefined && (typeof locale !== "string" || !LOCALE_RE.test(locale)))
+    return "locale must be a language tag (e.g. en-US)";
+  if (deviceId !== undefined && (typeof deviceId !== "string" || !deviceId || deviceId.length > 128))
+    return "deviceId must be a string (max 128 chars)";
+  return null;
+}
+
+// Keep users.fcm_tokens in step with one record
+async function mirrorToken(userId, token, enabled) {
+  await users().updateOne(
+    { user_id: userId },
+    enabled
+      ? { $addToSet: { fcm_tokens: token }, $setOnInsert: { createdAt: new Date() } }
+      : { $pull: { fcm_tokens: token } },
+    { upsert: enabled }
+  );
+}
+
+/**
+ * Register (or refresh) the caller's device token.
+ * Returns { device, reassignedFrom } or { error }.
+ *
+ * @param {string} userId
+ * @param {object} info - { token, transport?, subscription?, platform?,
+ *   appVersion?, locale?, deviceId?, settings? }; webpush devices send
+ *   their PushSubscription as `subscription` instead of a token
+ */
+export async function registerDeviceToken(userId, info) {
+  const { transport = "fcm", subscription, platform, appVersion, locale, deviceId, settings } =
+    info || {};
+  if (!TRANSPORTS.includes(transport))
+    return { error: `transport must be one of ${TRANSPORTS.join(", ")}` };
+
+  let token = info?.token;
+  let webPush;
+  if (transport === "webpush") {
+    const { endpoint, keys } = subscription || {};
+    if (typeof endpoint !== "string" || !/^https:\/\//.test(endpoint) || !keys?.p256dh || !keys?.auth)
+      return { error: "subscription { endpoint, keys: { p256dh, auth } } is required for webpush" };
+    token = endpoint;
+    webPush = { p256dh: String(keys.p256dh), auth: String(keys.auth) };
+  }
+  if (!userId || !isToken(token)) return { error: "A valid token is required." };
+  if (transport === "apns" && !APNS_TOKEN_RE.test(token))
+    return { error: "apns tokens are hex device tokens" };
+  const metaError = validateMetadata({ platform, appVersion, locale, deviceId });
+  if (metaError) return { error: metaError };
+  const validSettings = validateDeviceSettings(settings);
+  if (validSettings.error) return { error: validSettings.error };
+
+  const now = new Date();
+  const existing = await devices().findOne({ token });
+
+  // --- Same token under another account → it belongs to the newest login
+  let reassignedFrom = null;
+  if (existing && existing.user_id !== userId) {
+    reassignedFrom = existing.user_id;
+    await users().updateOne({ user_id: existing.user_id }, { $pull: { fcm_tokens: token } });
+    console.log(`[TOKENS] 🔀 Token reassigned ${existing.user_id} → ${userId}`);
+  }
+
+  // --- Token rotation: older tokens of this device are dead
+  if (deviceId) {
+    const rotated = await devices()
+      .find({ user_id: userId, deviceId, token: { $ne: token } }, { projection: { token: 1 } })
+      .toArray();
+    if (rotated.length) await removeDeviceTokens(rotated.map((d) => d.token));
+  }
+
+  const set = {
+    user_id: userId,
+    transport,
+    lastSeenAt: now,
+    updatedAt: now,
+    ...(webPush ? { webPush } : {}),
+    ...(platform !== undefined ? { platform } : {}),
+    ...(appVersion !== undefined ? { appVersion } : {}),
+    ...(locale !== undefined ? { locale } : {}),
+    ...(deviceId !== undefined ? { deviceId } : {}),
+    ...validSettings.set,
+  };
+  // A reassigned token starts with default settings for its new owner
+  const resetSettings = reassignedFrom && !Object.keys(validSettings.set).length;
+
+  let device;
+  try {
+    device = await devices().findOneAndUpdate(
+      { token },
+      {
+        $set: resetSettings ? { ...set, settings: { ...DEFAULT_DEVICE_SETTINGS } } : set,
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  } catch (err) {
+    // Concurrent first registration of the same token → plain update
+    if (err?.code !== 11000) throw err;
+    device = await devices().findOneAndUpdate({ token }, { $set: set }, { returnDocument: "after" });
+  }
+
+  await mirrorToken(userId, token, device?.settings?.enabled !== false);
+  return { device: serializeDevice(device), reassignedFrom };
+}
+
+/**
+ * Forget one of the caller's tokens (logout). Also removes a legacy token
+ * that only exists in users.fcm_tokens.
+ */
+export async function unregisterDeviceToken(userId, token) {
+  if (!isToken(token)) return { error: "A valid token is required." };
+  const r = await devices().deleteOne({ token, user_id: userId });
+  const u = await users().updateOne({ user_id: userId }, { $pull: { fcm_tokens: token } });
+  if (!r.deletedCount && !u.modifiedCount) return { error: "Token not registered.", status: 404 };
+  return { ok: true };
+}
+
+export async function listDevices(userId) {
+  const docs = await devices().find({ user_id: userId }).sort({ lastSeenAt: -1 }).toArray();
+  return docs.map(serializeDevice);
+}
+
+/** PATCH a device's settings (owner only). Returns { device } or { error, status }. */
+export async function updateDeviceSettings(userId, id, settings) {
+  if (!ObjectId.isValid(id)) return { error: "Invalid device id.", status: 400 };
+  const valid = validateDeviceSettings(settings);
+  if (valid.error) return { error: valid.error, status: 400 };
+  if (!Object.keys(valid.set).length) return { error: "No valid settings to update.", status: 400 };
+
+  const device = await devices().findOneAndUpdate(
+    { _id: new ObjectId(id), user_id: userId },
+    { $set: { ...valid.set, updatedAt: new Date() } },
+    { returnDocument: "after" }
+  );
+  if (!device) return { error: "Device not found.", status: 404 };
+
+  await mirrorToken(userId, device.token, device.settings?.enabled !== false);
+  return { device: serializeDevice(device) };
+}
+
+/** Delete device records (dead / invalid tokens) and pull them from users. */
+export async function removeDeviceTokens(tokens) {
+  let removed = 0;
+  for (let i = 0; i < tokens.length; i += IN_CHUNK) {
+    const chunk = tokens.slice(i, i + IN_CHUNK);
+    const r = await devices().deleteMany({ token: { $in: chunk } });
+    await users().updateMany(
+      { fcm_tokens: { $in: chunk } },
+      { $pull: { fcm_tokens: { $in: chunk } } }
+    );
+    removed += r.deletedCount;
+  }
+  return removed;
+}
+
+/** Remove tokens not seen for DEVICE_TOKEN_STALE_DAYS. Never throws. */
+export async function pruneStaleDeviceTokens() {
+  try {
+    const cutoff = new Date(Date.now() - STALE_DAYS * 24 * 3600 * 1000);
+    const stale = await devices()
+      .find({ lastSeenAt: { $lt: cutoff } }, { projection: { token: 1 } })
+      .toArray();
+    if (!stale.length) return 0;
+    const removed = await removeDeviceTokens(stale.map((d) => d.token));
+    console.log(`[TOKENS] 🧹 Pruned ${removed} tokens not seen for ${STALE_DAYS} days`);
+    return removed;
+  } catch (err) {
+    console.error("[TOKENS] ❌ prune failed:", err);
+    return 0;
+  }
+}
+
+/**
+ * Records for tokens that only exist in users.fcm_tokens (registered
+ * before the registry). lastSeenAt = now, so they get a full stale window.
+ */
+export async function backfillDeviceTokens() {
+  const now = new Date();
+  let created = 0;
+  const cursor = users()
+    .find({ fcm_tokens: { $exists: true, $ne: [] } })
+    .project({ user_id: 1, fcm_tokens: 1 });
+
+  let ops = [];
+  const flush = async () => {
+    if (!ops.length) return;
+    const r = await devices().bulkWrite(ops, { ordered: false });
+    created += r.upsertedCount;
+    ops = [];
+  };
+
+  for await (const u of cursor) {
+    for (const token of u.fcm_tokens || []) {
+      if (!isToken(token)) continue;
+      ops.push({
+        updateOne: {
+          filter: { token },
+          update: {
+            $setOnInsert: {
+              user_id: u.user_id,
+              platform: null,
+              createdAt: now,
+              lastSeenAt: now,
+            },
+          },
+          upsert: true,
+        },
+      });
+      if (ops.length >= 1000) await flush();
+    }
+  }
+  await flush();
+  if (created) console.log(`[TOKENS] 📇 Backfilled ${created} device records`);
+  return created;
+}
+
+/** token → transport for registered tokens (unregistered ones are FCM) */
+export async function transportsFor(tokens) {
+  const transports = new Map();
+  for (let i = 0; i < tokens.length; i += IN_CHUNK) {
+    const docs = await devices()
+      .find(
+        { token: { $in: tokens.slice(i, i + IN_CHUNK) }, transport: { $in: ["apns", "webpush"] } },
+        { projection: { token: 1, transport: 1 } }
+      )
+      .toArray();
+    for (const d of docs) transports.set(d.token, d.transport);
+  }
+  return transports;
+}
+
+/**
+ * Attach each recipient's transport and drop recipients whose device is
+ * limited to other feeds (settings.collections). Muted devices are
+ * already absent from users.fcm_tokens.
+ *
+ * @param {{token:string, userId:string|null}[]} recipients
+ * @param {string|null} collection
+ * @returns {Promise<{token:string, userId:string|null, transport:string}[]>}
+ */
+export async function routeRecipients(recipients, collection) {
+  const routed = [];
+  for (let i = 0; i < recipients.length; i += IN_CHUNK) {
+    const chunk = recipients.slice(i, i + IN_CHUNK);
+    const docs = await devices()
+      .find(
+        { token: { $in: chunk.map((r) => r.token) } },
+        { projection: { token: 1, transport: 1, settings: 1 } }
+      )
+      .toArray();
+    const byToken = new Map(docs.map((d) => [d.token, d]));
+
+    for (const r of chunk) {
+      const d = byToken.get(r.token);
+      const limitedTo = d?.settings?.collections;
+      if (collection && Array.isArray(limitedTo) && !limitedTo.includes(collection)) continue;
+      routed.push({ ...r, transport: d?.transport || "fcm" });
+    }
+  }
+  return routed;
+}
@@ -0,0 +1,242 @@
+/**
+ * /src/services/eventStream.js
+ * -------------------------------------------------------------
+ * Real-time fan-out of post / comment / vote / alert changes
+ * to GET /api/stream subscribers.
+ *
+ *   ✅ One Mongo change stream per instance (opened on first subscriber,
+ *      closed when the last one leaves) → works across instances, since
+ *      every write, including capPoller's saveAlerts, hits the oplog
+ *   ✅ Events: create | update | vote | resolve | status | delete | comment
+ *   ✅ Subscribers match by viewport bbox, radius and/or post IDs
+ *   ✅ Resumes after stream errors with the last resume token
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - STREAM_RETRY_MS=5000    (reopen delay after a change stream error)
+ */
+
+import { getDB } from "../db.js";
+import { POST_TYPES, visibleFilter } from "../postTypes/index.js";
+import { getMapLayer } from "./mapLayers.js";
+import { haversineDistanceMi, geometryBbox } from "../utils/geoUtils.js";
+
+const RETRY_MS = Number(process.env.STREAM_RETRY_MS || 5000);
+
+const POST_COLLECTIONS = POST_TYPES.map((t) => t.collection);
+const COMMENT_COLLECTIONS = new Map(
+  POST_TYPES.map((t) => [t.comments.collection, t])
+);
+const WATCHED = [...POST_COLLECTIONS, ...COMMENT_COLLECTIONS.keys(), "alerts_cap"];
+
+// Never pushed to clients (voter IDs, large polygons)
+const STRIPPED_FIELDS = ["votes", "voteTimes", "footprint"];
+
+const subscribers = new Set();
+let changeStream = null;
+let resumeToken = null;
+let retryTimer = null;
+
+// ---------------------------------------------------------------------------
+// 🧭 Event classification
+// ---------------------------------------------------------------------------
+function classifyUpdate(change) {
+  const fields = Object.keys(change.updateDescription?.updatedFields || {});
+  const has = (pred) => fields.some(pred);
+
+  if (has((f) => f === "deleted")) return "delete";
+  if (has((f) => f === "hidden")) return "visibility";
+  if (has((f) => f === "status")) return "status";
+  if (has((f) => f === "resolved")) return "resolve";
+  if (has((f) => f.startsWith("votes.") || f === "confirmCount" || f === "disputeCount"))
+    return "vote";
+  return "update";
+}
+
+function stripDoc(doc) {
+  if (!doc) return null;
+  const out = { ...doc, _id: String(doc._id) };
+  for (const f of STRIPPED_FIELDS) delete out[f];
+  return out;
+}
+
+/**
+ * Change stream event → { type, collection, docId, point, bbox, doc } or null.
+ * Comments carry the parent post's id/collection/location.
+ */
+async function toStreamEvent(change) {
+  const coll = change.ns?.coll;
+  const doc = change.fullDocument;
+  if (!doc) return null;
+
+  const commentType = COMMENT_COLLECTIONS.get(coll);
+  if (commentType) {
+    if (change.operationType !== "insert" || doc.hidden === true) return null;
+    const parentId = doc[commentType.comments.parentField];
+    const parent = await getDB()
+      .collection(commentType.collection)
+      .findOne(
+        { _id: parentId, ...visibleFilter() },
+        { projection: { [commentType.geoField]: 1 } }
+      );
+    if (!parent) return null;
+    return {
+      type: "comment",
+      collection: commentType.collection,
+      docId: String(parentId),
+      point: parent[commentType.geoField]?.coordinates || null,
+      bbox: null,
+      doc: stripDoc(doc),
+    };
+  }
+
+  const layer = getMapLayer(coll);
+  if (!layer) return null;
+
+  let type = change.operationType === "insert" ? "create" : "update";
+  if (change.operationType === "update") type = classifyUpdate(change);
+
+  // Alerts superseded/cancelled by a later message leave the map, as do
+  // posts hidden by moderation (restored ones come back as an update)
+  if (coll === "alerts_cap" && doc.active === false) type = "delete";
+  if (type === "visibility") type = doc.hidden === true ? "delete" : "update";
+  if ((doc.deleted === true || doc.hidden === true) && type !== "delete") return null;
+
+  return {
+    type,
+    collection: coll,
+    docId: String(doc._id),
+    point: doc[layer.geoField]?.coordinates || null,
+    bbox: coll === "alerts_cap" ? geometryBbox(doc.footprint) : null,
+    doc: type === "delete" ? { _id: String(doc._id) } : stripDoc(doc),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// 🎯 Subscription matching
+// ---------------------------------------------------------------------------
+function inBbox([lng, lat], [minLon, minLat, maxLon, maxLat]) {
+  const lonOk = minLon <= maxLon ? lng >= minLon && lng <= maxLon : lng >= minLon || lng <= maxLon;
+  return lonOk && lat >= minLat && lat <= maxLat;
+}
+
+function bboxOverlaps(a, b) {
+  // Antimeridian-crossing viewports fall back to the point test
+  if (a[0] > a[2] || b[0] > b[2]) return false;
+  return a[0] <= b[2] && a[2] >= b[0] && a[1] <= b[3] && a[3] >= b[1];
+}
+
+function matches(sub, event) {
+  if (sub.ids.has(event.docId)) return true;
+  if (sub.layers && !sub.layers.has(event.collection)) return false;
+
+  const point = Array.isArray(event.point) ? event.point : null;
+  if (sub.bbox) {
+    if (point && inBbox(point, sub.bbox)) return true;
+    if (event.bbox && bboxOverlaps(event.bbox, sub.bbox)) return true;
+  }
+  if (sub.center && point) {
+    const km = haversineDistanceMi(sub.center.lat, sub.center.lng, point[1], point[0]) * 1.609344;
+    if (km <= sub.center.radiusKm) return true;
+  }
+  return false;
+}
+
+async function dispatch(change) {
+  try {
+    const event = await toStreamEvent(change);
+    if (!event) return;
+    const { point, bbox, ...payload } = event;
+    for (const sub of subscribers) {
+      if (matches(sub, event)) sub.send(payload);
+    }
+  } catch (err) {
+    console.error("[STREAM] ❌ dispatch error:", err);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// 🔌 Change stream lifecycle
+// ---------------------------------------------------------------------------
+function openChangeStream() {
+  if (changeStream || retryTimer) return;
+  try {
+    changeStream = getDB().watch(
+      [
+        {
+          $match: {
+            "ns.coll": { $in: WATCHED },
+            operationType: { $in: ["insert", "update", "replace"] },
+          },
+        },
+      ],
+      {
+        fullDocument: "updateLookup",
+        ...(resumeToken ? { resumeAfter: resumeToken } : {}),
+      }
+    );
+    console.log(`[STREAM] 📡 Change stream open (${WATCHED.length} collections)`);
+
+    changeStream.on("change", (change) => {
+      resumeToken = change._id;
+      dispatch(change);
+    });
+    changeStream.on("error", (err) => {
+      console.error("[STREAM] ❌ Change stream error:", err.message);
+      closeChangeStream();
+      if (subscribers.size && !retryTimer) {
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          if (subscribers.size) openChangeStream();
+        }, RETRY_MS);
+      }
+    });
+  } catch (err) {
+    console.error("[STREAM] ❌ Could not open change stream:", err.message);
+    changeStream = null;
+  }
+}
+
+function closeChangeStream() {
+  const cs = changeStream;
+  changeStream = null;
+  if (cs) cs.close().catch(() => {});
+}
+
+/**
+ * Register a subscriber.
+ *
+ * @param {object} sub
+ * @param {number[]|null} sub.bbox - [minLon, minLat, maxLon, maxLat]
+ * @param {{lat:number,lng:number,radiusKm:number}|null} sub.center
+ * @param {string[]} sub.ids - post IDs to follow regardless of location
+ * @param {string[]|null} sub.layers - collections to include (null = all)
+ * @param {(event:object) => void} sub.send
+ * @returns {() => void} unsubscribe
+ */
+export function subscribe({ bbox = null, center = null, ids = [], layers = null, send }) {
+  const sub = {
+    bbox,
+    center,
+    ids: new Set(ids.map(String)),
+    layers: layers ? new Set(layers) : null,
+    send,
+  };
+  subscribers.add(sub);
+  openChangeStream();
+
+  return () => {
+    subscribers.delete(sub);
+    if (!subscribers.size) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      closeChangeStream();
+      resumeToken = null; // next subscriber starts from "now"
+      console.log("[STREAM] 💤 No subscribers — change stream closed");
+    }
+  };
+}
+
+export function subscriberCount() {
+  return subscribers.size;
+}
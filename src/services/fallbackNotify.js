@@ -0,0 +1,186 @@
+/**
+ * /src/services/fallbackNotify.js
+ * -------------------------------------------------------------
+ * SMS / email fallback for critical notifications (emergency help
+ * requests, Severe/Extreme official alerts), for users push can't reach:
+ *
+ *   ✅ No push device / push switched off → sent right away by the
+ *      notify* services (candidates via noPushFilter())
+ *   ✅ Push failed on every device → sent by the outbox once the job
+ *      finishes (enqueueNotification({ fallback }))
+ *   ✅ Only to users who opted in (notificationPrefs.fallbackChannels)
+ *      on a verified contact (users.contacts, contacts.js)
+ *   ✅ Collection/type/severity preferences still apply
+ *   ✅ Once per (event, user, channel): fallback_deliveries unique key
+ *   ✅ Per-user, per-channel token bucket (rate_limits)
+ * -------------------------------------------------------------
+ *
+ * Delivery status: sending → sent | invalid | failed | rate_limited
+ *
+ * Env knobs:
+ *  - FALLBACK_ENABLED=true|false
+ *  - FALLBACK_MAX_USERS_PER_EVENT=1000
+ */
+
+import { getDB } from "../db.js";
+import { takeToken } from "../middleware/rateLimit.js";
+import { sendOnChannel } from "./channels/index.js";
+import { renderTemplate } from "./channels/templates.js";
+import { notificationBlockReason } from "./notificationPrefs.js";
+
+const FALLBACK_ENABLED =
+  String(process.env.FALLBACK_ENABLED ?? "true").toLowerCase() !== "false";
+export const FALLBACK_MAX_USERS_PER_EVENT = Number(
+  process.env.FALLBACK_MAX_USERS_PER_EVENT || 1000
+);
+
+// capacity = burst size, perHour = sustained rate (per user)
+const CHANNEL_CAPS = {
+  sms: { capacity: 3, perHour: 6 },
+  email: { capacity: 5, perHour: 12 },
+};
+
+const CONTACT_OF = {
+  sms: (u) => (u.contacts?.phone?.verified ? u.contacts.phone.number : null),
+  email: (u) => (u.contacts?.email?.verified ? u.contacts.email.address : null),
+};
+
+const SEND_CONCURRENCY = 20;
+
+/** Users who opted into at least one fallback channel with a verified contact */
+export function fallbackOptInFilter() {
+  return {
+    $or: [
+      { "notificationPrefs.fallbackChannels.sms": true, "contacts.phone.verified": true },
+      { "notificationPrefs.fallbackChannels.email": true, "contacts.email.verified": true },
+    ],
+  };
+}
+
+/** Users push can't reach at all */
+export function noPushFilter() {
+  return {
+    $or: [
+      { fcm_tokens: { $exists: false } },
+      { fcm_tokens: { $size: 0 } },
+      { notificationsEnabled: false },
+    ],
+  };
+}
+
+/** Projection the fallback needs from users */
+export const FALLBACK_USER_PROJECTION = {
+  user_id: 1,
+  contacts: 1,
+  notificationPrefs: 1,
+};
+
+async function sendToUser(u, channel, { template, vars, dedupeKey }) {
+  const coll = getDB().collection("fallback_deliveries");
+  const to = CONTACT_OF[channel](u);
+  const now = new Date();
+
+  let id;
+  try {
+    const r = await coll.insertOne({
+      dedupeKey,
+      user_id: u.user_id,
+      channel,
+      to,
+      template,
+      status: "sending",
+      createdAt: now,
+    });
+    id = r.insertedId;
+  } catch (err) {
+    if (err?.code === 11000) return "duplicate";
+    throw err;
+  }
+
+  const bucket = await takeToken(`fallback_${channel}:user:${u.user_id}`, CHANNEL_CAPS[channel]);
+  if (!bucket.allowed) {
+    await coll.updateOne({ _id: id }, { $set: { status: "rate_limited", updatedAt: new Date() } });
+    return "rate_limited";
+  }
+
+  const userVars = {
+    ...vars,
+    distanceMi: typeof u.distanceMi === "number" ? Math.round(u.distanceMi * 10) / 10 : null,
+  };
+  const result = await sendOnChannel(channel, { to, ...renderTemplate(template, channel, userVars) });
+  // A fallback is best effort: transient errors are not retried
+  const status = result.status === "transient" ? "failed" : result.status;
+  await coll.updateOne(
+    { _id: id },
+    {
+      $set: {
+        status,
+        updatedAt: new Date(),
+        ...(result.messageId ? { messageId: result.messageId, sentAt: new Date() } : {}),
+        ...(result.errorCode ? { errorCode: result.errorCode } : {}),
+      },
+    }
+  );
+  return status;
+}
+
+/**
+ * Send a fallback SMS/email for one event.
+ *
+ * @param {object} opts
+ * @param {object[]} [opts.users] - users docs (FALLBACK_USER_PROJECTION,
+ *   optionally distanceMi)
+ * @param {string[]} [opts.userIds] - alternatively, load these users
+ * @param {string} opts.template - channels/templates.js name
+ * @param {object} opts.vars - template variables
+ * @param {string} opts.dedupeKey - one fallback per (key, user, channel)
+ * @param {object} opts.event - preference event (notificationPrefs.js)
+ * @returns {Promise<object>} counts per outcome
+ */
+export async function sendFallback({ users, userIds, template, vars, dedupeKey, event }) {
+  const stats = { users: 0, sent: 0, duplicate: 0, rate_limited: 0, invalid: 0, failed: 0 };
+  if (!FALLBACK_ENABLED || !dedupeKey) return stats;
+
+  if (!users && userIds?.length) {
+    users = await getDB()
+      .collection("users")
+      .find({ user_id: { $in: userIds }, ...fallbackOptInFilter() })
+      .project(FALLBACK_USER_PROJECTION)
+      .limit(FALLBACK_MAX_USERS_PER_EVENT)
+      .toArray();
+  }
+
+  const jobs = [];
+  for (const u of users || []) {
+    if (stats.users >= FALLBACK_MAX_USERS_PER_EVENT) {
+      console.warn(`[FALLBACK] ⚠️ ${dedupeKey}: capped at ${FALLBACK_MAX_USERS_PER_EVENT} users`);
+      break;
+    }
+    // Push being off is why we're here; the other preferences still count
+    if (notificationBlockReason({ ...u, notificationsEnabled: true }, event)) continue;
+    const channels = Object.keys(CONTACT_OF).filter(
+      (c) => u.notificationPrefs?.fallbackChannels?.[c] === true && CONTACT_OF[c](u)
+    );
+    if (!channels.length) continue;
+    stats.users++;
+    for (const channel of channels) jobs.push([u, channel]);
+  }
+
+  for (let i = 0; i < jobs.length; i += SEND_CONCURRENCY) {
+    const settled = await Promise.allSettled(
+      jobs
+        .slice(i, i + SEND_CONCURRENCY)
+        .map(([u, channel]) => sendToUser(u, channel, { template, vars, dedupeKey }))
+    );
+    for (const s of settled) {
+      if (s.status === "fulfilled") stats[s.value] = (stats[s.value] || 0) + 1;
+      else {
+        stats.failed++;
+        console.error(`[FALLBACK] ❌ ${dedupeKey}:`, s.reason);
+      }
+    }
+  }
+
+  if (jobs.length) console.log(`[FALLBACK] 📨 ${dedupeKey} ${template}: ${JSON.stringify(stats)}`);
+  return stats;
+}
@@ -1,10 +1,9 @@
 // src/services/fcmService.js
-import admin from "./firebaseAdmin.js";
-
-const messaging = admin.messaging();
+import { deliverPush } from "./push/index.js";
 
 /**
- * Sends a Firebase Cloud Message (FCM) to a specific device.
+ * Sends a push to a single FCM device (through the configured provider,
+ * so PUSH_PROVIDER=capture records it instead).
  * @param {string} token - Device FCM registration token.
  * @param {string} title - Notification title.
  * @param {string} body - Notification body.
@@ -17,16 +16,12 @@ export async function sendPush(token, title, body, data = {}) {
   }
 
   const message = {
-    token,
     notification: { title, body },
     data,
   };
 
-  try {
-    const response = await messaging.send(message);
-    console.log("✅ FCM message sent:", response);
-    return response;
-  } catch (err) {
-    console.error("❌ FCM send error:", err.message || err);
-  }
+  const [result] = await deliverPush(message, [{ token, transport: "fcm" }]);
+  if (result.status === "sent") console.log("✅ Push sent:", result.messageId);
+  else console.error("❌ Push send error:", result.errorCode);
+  return result;
 }
@@ -0,0 +1,135 @@
+/**
+ * /src/services/helpRequestStatus.js
+ * -------------------------------------------------------------
+ * Help request status workflow.
+ *
+ *   open → acknowledged → assigned → in_progress → resolved
+ *                 ↘ cancelled (from any active state)
+ *
+ * Each transition records statusTimestamps.<state> and a statusHistory
+ * entry { from, to, by, at, assignee, note }. `resolved` stays in sync
+ * with status for older clients and list filters.
+ * -------------------------------------------------------------
+ */
+
+export const STATUSES = [
+  "open",
+  "acknowledged",
+  "assigned",
+  "in_progress",
+  "resolved",
+  "cancelled",
+];
+
+export const TRANSITIONS = {
+  open: ["acknowledged", "assigned", "resolved", "cancelled"],
+  acknowledged: ["open", "assigned", "resolved", "cancelled"],
+  assigned: ["open", "in_progress", "resolved", "cancelled"],
+  in_progress: ["assigned", "resolved", "cancelled"],
+  resolved: ["open"],
+  cancelled: ["open"],
+};
+
+export const STATUS_LABELS = {
+  open: "reopened",
+  acknowledged: "acknowledged",
+  assigned: "assigned to a volunteer",
+  in_progress: "in progress",
+  resolved: "resolved",
+  cancelled: "cancelled",
+};
+
+/** Initial workflow fields for a new help request */
+export function initialStatusFields(now = new Date()) {
+  return {
+    status: "open",
+    assignee: null,
+    statusTimestamps: { open: now },
+    statusHistory: [],
+  };
+}
+
+export function currentStatus(doc) {
+  // Resolved before the workflow existed: resolved: true, status "open"
+  if (doc?.resolved === true && (!doc.status || doc.status === "open")) return "resolved";
+  if (STATUSES.includes(doc?.status)) return doc.status;
+  return "open";
+}
+
+/**
+ * Validated update for PATCH /:id/resolve (same TRANSITIONS as /status).
+ * Returns { update } or { error, status }.
+ */
+export function resolveTransition(doc, actorId) {
+  const from = currentStatus(doc);
+  if (!TRANSITIONS[from].includes("resolved"))
+    return { error: `Cannot move from ${from} to resolved.`, status: 409 };
+  return { update: buildStatusUpdate(doc, "resolved", { actorId }) };
+}
+
+/**
+ * Who may move a request into `to`.
+ * ctx: { isAuthor, isModerator, isAssignee, assigningSelf }
+ */
+export function canTransition(to, ctx) {
+  const manager = ctx.isAuthor || ctx.isModerator;
+  switch (to) {
+    case "acknowledged":
+      return true; // any signed-in volunteer
+    case "assigned":
+      return manager || ctx.assigningSelf;
+    case "in_progress":
+      return manager || ctx.isAssignee;
+    case "resolved":
+      return manager || ctx.isAssignee;
+    case "cancelled":
+      return manager;
+    case "open":
+      return manager || ctx.isAssignee; // assignee may hand it back
+    default:
+      return false;
+  }
+}
+
+/**
+ * Mongo update for a transition (caller has already validated it).
+ */
+export function buildStatusUpdate(doc, to, { actorId, assignee, note, now = new Date() }) {
+  const from = currentStatus(doc);
+
+  let nextAssignee = doc.assignee || null;
+  if (to === "assigned") nextAssignee = assignee || nextAssignee;
+  if (to === "open") nextAssignee = null;
+
+  const $set = {
+    status: to,
+    assignee: nextAssignee,
+    [`statusTimestamps.${to}`]: now,
+    resolved: to === "resolved",
+    updatedAt: now,
+  };
+  if (to === "resolved") {
+    $set.resolvedAt = now;
+    $set.resolvedBy = actorId || null;
+  }
+
+  const update = {
+    $set,
+    $push: {
+      statusHistory: {
+        from,
+        to,
+        by: actorId || null,
+        at: now,
+        assignee: nextAssignee,
+        ...(note ? { note: String(note).slice(0, 500) } : {}),
+      },
+    },
+  };
+
+  // The assignee follows the request so they hear about later updates
+  if (to === "assigned" && nextAssignee)
+    update.$addToSet = { followers: nextAssignee };
+
+  return update;
+}
@@ -0,0 +1,46 @@
+// src/services/listSpecs.js
+//
+// What each list resource can be filtered on: buildListFilter() specs
+// (src/utils/pagination.js) plus the "still active" alert filter. Shared by
+// the list routes and the map layers (viewport / tiles / export), so every
+// surface accepts the same query params.
+
+/** buildListFilter() fields for a post type */
+export function postListSpec(type) {
+  return {
+    timeField: "timestamp",
+    typesField: "types",
+    resolvedField: "resolved",
+    ...(type.listFilters || {}),
+  };
+}
+
+// ?types= matches the event name, ?severity= the CAP severity, ?source= the feed
+export const ALERT_LIST_SPEC = {
+  timeField: "sent",
+  typesField: "info.event",
+  severityField: "info.severity",
+  sourceField: "source",
+};
+
+// ?types= matches hazardLabel, ?source= the provider (GDELT | NewsAPI)
+export const SIGNAL_LIST_SPEC = {
+  timeField: "publishedAt",
+  typesField: "hazardLabel",
+  sourceField: "provider",
+};
+
+/**
+ * Alerts that have not expired, been superseded by an Update or cancelled
+ * (missing/null expires counts as active; legacy docs have no `active` field)
+ */
+export function activeAlertFilter(now = new Date()) {
+  return {
+    active: { $ne: false },
+    $or: [
+      { expires: { $gt: now } },      // normal case
+      { expires: { $exists: false } },// missing expires
+      { expires: null },              // null expires
+    ],
+  };
+}
@@ -0,0 +1,138 @@
+// src/services/mapLayers.js
+//
+// The five map layers (three post types, official alerts, news signals)
+// with what the viewport/tiles/export code needs to query each one.
+// Every layer stores a GeoJSON Point in `geoField`.
+//
+//   name         layer key in responses and ?layers=
+//   collection   Mongo collection
+//   geoField     Point field used for bbox queries
+//   baseFilter() what counts as visible (not deleted or hidden / still active)
+//   severity     aggregation expression bucketing docs by severity (or null)
+//   projection   fields left out of feature payloads
+//   properties() flat styling properties for tiles / GeoJSON features
+//   listSpec     buildListFilter() fields (same filters as the list routes)
+
+import { POST_TYPES, getPostType, visibleFilter } from "../postTypes/index.js";
+import {
+  ALERT_LIST_SPEC,
+  SIGNAL_LIST_SPEC,
+  activeAlertFilter,
+  postListSpec,
+} from "./listSpecs.js";
+import { bboxGeoFilter, bboxGeometry } from "../utils/geoUtils.js";
+
+const iso = (d) => (d instanceof Date ? d.toISOString() : d ?? null);
+
+const postLayers = POST_TYPES.map((type) => ({
+  name: type.collection,
+  collection: type.collection,
+  geoField: type.geoField,
+  baseFilter: visibleFilter,
+  severity:
+    type.collection === "help_requests"
+      ? { $cond: [{ $eq: ["$emergency", true] }, "Emergency", "Normal"] }
+      : null,
+  projection: { votes: 0, voteTimes: 0 },
+  listSpec: postListSpec(type),
+  properties: (doc) => ({
+    id: String(doc._id),
+    layer: type.collection,
+    types: Array.isArray(doc.types) ? doc.types.join(",") : doc.type ?? null,
+    severity:
+      type.collection === "help_requests"
+        ? doc.emergency === true
+          ? "Emergency"
+          : "Normal"
+        : null,
+    emergency: type.collection === "help_requests" ? doc.emergency === true : null,
+    status: doc.status ?? null,
+    confirmCount: doc.confirmCount ?? 0,
+    disputeCount: doc.disputeCount ?? 0,
+    credibility: doc.credibility?.score ?? null,
+    resolved: doc.resolved === true,
+    timestamp: iso(doc.timestamp),
+  }),
+}));
+
+export const MAP_LAYERS = [
+  ...postLayers,
+  {
+    name: "alerts_cap",
+    collection: "alerts_cap",
+    geoField: "geometry",
+    baseFilter: () => ({ geometry: { $ne: null }, ...activeAlertFilter() }),
+    severity: { $ifNull: ["$info.severity", "Unknown"] },
+    projection: { footprint: 0 },
+    listSpec: ALERT_LIST_SPEC,
+    properties: (doc) => ({
+      id: String(doc._id),
+      layer: "alerts_cap",
+      identifier: doc.identifier ?? null,
+      types: doc.info?.event ?? null,
+      severity: doc.info?.severity || "Unknown",
+      urgency: doc.info?.urgency ?? null,
+      headline: doc.info?.headline ?? doc.title ?? null,
+      source: doc.source ?? null,
+      sent: iso(doc.sent),
+      expires: iso(doc.expires),
+    }),
+  },
+  {
+    name: "social_signals",
+    collection: "social_signals",
+    geoField: "geometry",
+    baseFilter: () => ({}),
+    severity: null,
+    projection: {},
+    listSpec: SIGNAL_LIST_SPEC,
+    properties: (doc) => ({
+      id: String(doc._id),
+      layer: "social_signals",
+      types: doc.hazardLabel ?? null,
+      severity: null,
+      title: doc.title ?? null,
+      provider: doc.provider ?? null,
+      source: doc.source ?? null,
+      url: doc.url ?? null,
+      publishedAt: iso(doc.publishedAt),
+    }),
+  },
+];
+
+/** Accepts the layer/collection name or a post type route ("help-requests"). */
+export function getMapLayer(name) {
+  const collection = getPostType(name)?.collection || name;
+  return MAP_LAYERS.find((l) => l.name === collection) || null;
+}
+
+/**
+ * Layers requested via ?layers=a,b (default: all).
+ * Returns { layers } or { error }.
+ */
+export function selectMapLayers(param) {
+  const names = String(param || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (!names.length) return { layers: MAP_LAYERS };
+
+  const unknown = names.filter((n) => !getMapLayer(n));
+  if (unknown.length) return { error: `Unknown layer(s): ${unknown.join(", ")}` };
+  return { layers: names.map(getMapLayer) };
+}
+
+/**
+ * Mongo filter for a layer's docs in the bbox. Alerts also match when only
+ * their footprint polygon reaches into the box.
+ */
+export function layerBboxFilter(layer, bbox) {
+  const area = bboxGeoFilter(layer.geoField, bbox);
+  if (layer.name !== "alerts_cap") return area;
+  return {
+    $or: [
+      area,
+      { footprint: { $geoIntersects: { $geometry: bboxGeometry(bbox) } } },
+    ],
+  };
+}
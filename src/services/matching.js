@@ -0,0 +1,265 @@
+/**
+ * /src/services/matching.js
+ * -------------------------------------------------------------
+ * Pairs help requests with nearby open offers.
+ *   ✅ Open offers with overlapping types (case-insensitive) within
+ *      MATCH_MAX_DISTANCE_KM
+ *   ✅ Ranked by distance, recency and type overlap
+ *   ✅ Proposed matches stored in `matches` (one per request/offer pair)
+ *   ✅ Both sides notified; each side accepts or declines
+ * -------------------------------------------------------------
+ *
+ * Match doc:
+ * { help_request_id, offer_id, requester_id, offerer_id, types, distanceKm,
+ *   score, status: "proposed" | "accepted" | "declined",
+ *   requesterStatus / offererStatus: "pending" | "accepted" | "declined",
+ *   createdAt, updatedAt }
+ */
+
+import { getDB } from "../db.js";
+import { notifyUsers } from "./notifications.js";
+import { postNotificationEvent } from "./notificationPrefs.js";
+import { visibleFilter } from "../postTypes/index.js";
+
+const MAX_DISTANCE_KM = Number(process.env.MATCH_MAX_DISTANCE_KM || 50);
+const MAX_CANDIDATES = Number(process.env.MATCH_MAX_CANDIDATES || 10);
+const RECENCY_HALF_LIFE_HOURS = Number(process.env.MATCH_RECENCY_HALF_LIFE_HOURS || 24);
+
+// Score weights (sum to 1)
+const W_DISTANCE = 0.5;
+const W_RECENCY = 0.3;
+const W_OVERLAP = 0.2;
+
+function typeKey(t) {
+  return String(t || "").trim().toLowerCase();
+}
+
+// Exact, case-insensitive type match ("Food" offers meet "food" requests)
+function typePattern(t) {
+  const escaped = String(t).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`^\\s*${escaped}\\s*$`, "i");
+}
+
+/**
+ * Open offers near a help request, best first.
+ * @returns {Promise<Array<{ offer, distanceKm, overlap, score }>>}
+ */
+export async function findCandidateOffers(helpRequest, { limit = MAX_CANDIDATES } = {}) {
+  const coords = helpRequest?.location?.coordinates;
+  const types = (helpRequest?.types || []).filter(Boolean);
+  if (!Array.isArray(coords) || coords.length < 2 || !types.length) return [];
+
+  const db = getDB();
+  const offers = await db
+    .collection("offer_help")
+    .aggregate([
+      {
+        $geoNear: {
+          near: { type: "Point", coordinates: coords },
+          key: "location",
+          distanceField: "distanceMeters",
+          maxDistance: MAX_DISTANCE_KM * 1000,
+          spherical: true,
+          query: {
+            resolved: { $ne: true },
+            ...visibleFilter(),
+            types: { $in: types.map(typePattern) },
+            ...(helpRequest.user_id ? { user_id: { $ne: helpRequest.user_id } } : {}),
+          },
+        },
+      },
+      { $limit: limit * 5 },
+    ])
+    .toArray();
+
+  const wanted = new Set(types.map(typeKey));
+  const now = Date.now();
+
+  return offers
+    .map((offer) => {
+      const distanceKm = offer.distanceMeters / 1000;
+      const overlap = (offer.types || []).filter((t) => wanted.has(typeKey(t)));
+      const ageHours = Math.max(0, (now - new Date(offer.timestamp).getTime()) / 3600000);
+
+      const score =
+        W_DISTANCE * (1 - Math.min(1, distanceKm / MAX_DISTANCE_KM)) +
+        W_RECENCY * Math.pow(0.5, ageHours / RECENCY_HALF_LIFE_HOURS) +
+        W_OVERLAP * Math.min(1, overlap.length / wanted.size);
+
+      return { offer, distanceKm, overlap, score };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Find candidates for a new help request, store them as proposed matches
+ * and notify both sides. Existing pairs keep their accept/decline state.
+ */
+export async function proposeMatchesForRequest(helpRequest) {
+  if (!helpRequest?._id || helpRequest.resolved) return [];
+
+  const candidates = await findCandidateOffers(helpRequest);
+  if (!candidates.length) {
+    console.log(`[MATCH] ℹ️ No offers for help_requests/${helpRequest._id}`);
+    return [];
+  }
+
+  const db = getDB();
+  const matches = db.collection("matches");
+  const now = new Date();
+  const created = [];
+
+  for (const { offer, distanceKm, overlap, score } of candidates) {
+    const r = await matches.updateOne(
+      { help_request_id: helpRequest._id, offer_id: offer._id },
+      {
+        $set: {
+          types: overlap,
+          distanceKm: Math.round(distanceKm * 10) / 10,
+          score: Math.round(score * 1000) / 1000,
+          updatedAt: now,
+        },
+        $setOnInsert: {
+          requester_id: helpRequest.user_id || null,
+          offerer_id: offer.user_id || null,
+          status: "proposed",
+          requesterStatus: "pending",
+          offererStatus: "pending",
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+    if (r.upsertedId) created.push({ _id: r.upsertedId, offer, distanceKm, overlap });
+  }
+
+  console.log(
+    `[MATCH] 🤝 help_requests/${helpRequest._id}: ${candidates.length} candidates, ${created.length} new`
+  );
+  if (!created.length) return created;
+
+  const requestId = String(helpRequest._id);
+  const deeplink = `disasterhelp://detail?c=help_requests&id=${requestId}`;
+  const event = postNotificationEvent("help_requests", helpRequest);
+
+  // Requester: one summary push
+  await notifyUsers([helpRequest.user_id], {
+    title: "🤝 Offers of help found",
+    body: `${created.length} nearby offer${created.length === 1 ? "" : "s"} match your request.`,
+    data: { action: "match", collection: "help_requests", docId: requestId, deeplink },
+    collapseKey: `match_req_${requestId}`,
+    event,
+  });
+
+  // Offerers: one push each
+  const what = (helpRequest.types || []).join(", ") || "help";
+  for (const m of created) {
+    await notifyUsers([m.offer.user_id], {
+      title: "🚨 Someone nearby needs your help",
+      body: `${what} — ${m.distanceKm.toFixed(1)} km away`,
+      data: {
+        action: "match",
+        collection: "help_requests",
+        docId: requestId,
+        matchId: String(m._id),
+        deeplink,
+      },
+      collapseKey: `match_${String(m._id)}`,
+      event,
+    });
+  }
+
+  return created;
+}
+
+/**
+ * Record one side's accept/decline. Returns the updated match, or
+ * { error, status } when the caller is not part of the match.
+ */
+export async function respondToMatch(match, userId, decision) {
+  const uid = String(userId || "");
+  const side =
+    match.requester_id && String(match.requester_id) === uid
+      ? "requester"
+      : match.offerer_id && String(match.offerer_id) === uid
+      ? "offerer"
+      : null;
+  if (!side) return { error: "Not a participant in this match.", status: 403 };
+  if (match.status === "declined")
+    return { error: "Match was already declined.", status: 409 };
+
+  const sideStatus = decision === "accept" ? "accepted" : "declined";
+  const db = getDB();
+  const now = new Date();
+
+  // Overall status from the stored side fields, so two sides answering at
+  // the same time both count
+  const status = {
+    $switch: {
+      branches: [
+        {
+          case: {
+            $or: [
+              { $eq: ["$requesterStatus", "declined"] },
+              { $eq: ["$offererStatus", "declined"] },
+            ],
+          },
+          then: "declined",
+        },
+        {
+          case: {
+            $and: [
+              { $eq: ["$requesterStatus", "accepted"] },
+              { $eq: ["$offererStatus", "accepted"] },
+            ],
+          },
+          then: "accepted",
+        },
+      ],
+      default: "proposed",
+    },
+  };
+  const stampOnChange = (value, field) => ({
+    $cond: [{ $and: [{ $eq: [status, value] }, { $ne: ["$status", value] }] }, now, `$${field}`],
+  });
+
+  const updated = await db.collection("matches").findOneAndUpdate(
+    { _id: match._id, status: { $ne: "declined" } },
+    [
+      { $set: { [`${side}Status`]: sideStatus, updatedAt: now } },
+      {
+        $set: {
+          acceptedAt: stampOnChange("accepted", "acceptedAt"),
+          declinedAt: stampOnChange("declined", "declinedAt"),
+        },
+      },
+      { $set: { status } },
+    ],
+    { returnDocument: "after" }
+  );
+  if (!updated) return { error: "Match was already declined.", status: 409 };
+
+  // Tell the other side
+  const otherId = side === "requester" ? match.offerer_id : match.requester_id;
+  const requestId = String(match.help_request_id);
+  const verb = sideStatus === "accepted" ? "accepted" : "declined";
+  await notifyUsers([otherId], {
+    title: updated.status === "accepted" ? "✅ Match confirmed" : `🤝 Match ${verb}`,
+    body:
+      side === "requester"
+        ? `The requester ${verb} your offer of help.`
+        : `A volunteer ${verb} your help request.`,
+    data: {
+      action: `match_${decision}`,
+      collection: "help_requests",
+      docId: requestId,
+      matchId: String(match._id),
+      deeplink: `disasterhelp://detail?c=help_requests&id=${requestId}`,
+    },
+    collapseKey: `match_${String(match._id)}`,
+    event: { collection: "help_requests", types: match.types || [] },
+  });
+
+  return updated;
+}
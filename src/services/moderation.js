@@ -0,0 +1,301 @@
+/**
+ * /src/services/moderation.js
+ * -------------------------------------------------------------
+ * Content reports + moderator actions for posts and comments.
+ *
+ *   ✅ One report per (item, reporter); reasons from REPORT_REASONS
+ *   ✅ Auto-hide once REPORT_AUTO_HIDE_THRESHOLD distinct users have open
+ *      reports (reports closed by a moderator no longer count)
+ *   ✅ Actions: hide | restore | delete | ban | dismiss (all audited)
+ *   ✅ Items enter the queue via open reports or an auto-flag
+ *      (e.g. low credibility)
+ * -------------------------------------------------------------
+ *
+ * Item fields written here:
+ *   reportCount, openReportCount, hidden, hiddenAt, hiddenBy, hiddenReason,
+ *   moderation { action, by, at, note }
+ *
+ * Env knobs:
+ *  - REPORT_AUTO_HIDE_THRESHOLD=3
+ */
+
+import { ObjectId } from "mongodb";
+import { getDB } from "../db.js";
+import {
+  POST_TYPES,
+  getPostType,
+  getPostTypeByCommentCollection,
+} from "../postTypes/index.js";
+import { recordAudit } from "./auditLog.js";
+import { isModerator, getUserRole } from "../middleware/roles.js";
+
+export const REPORT_REASONS = ["spam", "abuse", "fake", "dangerous", "personal_info", "other"];
+export const MODERATION_ACTIONS = ["hide", "restore", "delete", "ban", "dismiss"];
+
+const AUTO_HIDE_THRESHOLD = Number(process.env.REPORT_AUTO_HIDE_THRESHOLD || 3);
+const MAX_DETAILS_LENGTH = 1000;
+
+/**
+ * Reportable target from a collection name or post route.
+ * Returns { kind: "post" | "comment", collection, type } or null.
+ */
+export function resolveTarget(name) {
+  const postType = getPostType(name);
+  if (postType) return { kind: "post", collection: postType.collection, type: postType };
+
+  const parentType = getPostTypeByCommentCollection(name);
+  if (parentType)
+    return { kind: "comment", collection: parentType.comments.collection, type: parentType };
+
+  return null;
+}
+
+export function itemIdQuery(id) {
+  return /^[0-9a-fA-F]{24}$/.test(String(id)) ? { _id: new ObjectId(String(id)) } : { _id: id };
+}
+
+/**
+ * File a report. Returns { error, status } or { report, reportCount, hidden }.
+ */
+export async function fileReport({ targetName, id, reporterId, reason, details }) {
+  const target = resolveTarget(targetName);
+  if (!target) return { error: "Unknown collection.", status: 404 };
+  if (!REPORT_REASONS.includes(reason))
+    return { error: `reason must be one of ${REPORT_REASONS.join(", ")}`, status: 400 };
+  if (details !== undefined && details !== null && typeof details !== "string")
+    return { error: "details must be text.", status: 400 };
+  if (typeof details === "string" && details.length > MAX_DETAILS_LENGTH)
+    return { error: `details must be at most ${MAX_DETAILS_LENGTH} characters.`, status: 400 };
+
+  const db = getDB();
+  const items = db.collection(target.collection);
+  const doc = await items.findOne({ ...itemIdQuery(id), deleted: { $ne: true } });
+  if (!doc) return { error: "Not found.", status: 404 };
+  if (doc.user_id && String(doc.user_id) === String(reporterId))
+    return { error: "You cannot report your own content.", status: 400 };
+
+  const report = {
+    kind: target.kind,
+    collection: target.collection,
+    targetId: doc._id,
+    reporterId,
+    reason,
+    details: details || null,
+    status: "open",
+    createdAt: new Date(),
+  };
+
+  try {
+    await db.collection("reports").insertOne(report);
+  } catch (err) {
+    if (err?.code === 11000) return { error: "Already reported.", status: 409 };
+    throw err;
+  }
+
+  const reports = db.collection("reports");
+  const reportFilter = { collection: target.collection, targetId: doc._id };
+  const [reportCount, openReportCount] = await Promise.all([
+    reports.countDocuments(reportFilter),
+    reports.countDocuments({ ...reportFilter, status: "open" }),
+  ]);
+
+  // Only open reports count toward auto-hide: reports a moderator already
+  // closed (restore / dismiss) must not re-hide the item.
+  const update = { $set: { reportCount, openReportCount } };
+  const autoHide = openReportCount >= AUTO_HIDE_THRESHOLD && !doc.hidden;
+  if (autoHide)
+    Object.assign(update.$set, {
+      hidden: true,
+      hiddenAt: new Date(),
+      hiddenBy: "system",
+      hiddenReason: "reports",
+    });
+
+  await items.updateOne({ _id: doc._id }, update);
+
+  if (autoHide) {
+    console.log(
+      `[MOD] 🙈 Auto-hid ${target.collection}/${doc._id} after ${openReportCount} open reports`
+    );
+    await recordAudit({
+      action: "auto_hide",
+      collection: target.collection,
+      docId: doc._id,
+      actorId: "system",
+      snapshot: doc,
+      meta: { reportCount, openReportCount },
+    });
+  }
+
+  return { report, reportCount, hidden: autoHide || doc.hidden === true };
+}
+
+/**
+ * Queue: visible-or-hidden, not deleted, with open reports or an auto-flag.
+ * Most-reported first, then newest.
+ */
+export async function loadModerationQueue({ limit = 100 } = {}) {
+  const db = getDB();
+  const collections = POST_TYPES.flatMap((t) => [
+    { kind: "post", collection: t.collection },
+    { kind: "comment", collection: t.comments.collection },
+  ]);
+
+  const perCollection = await Promise.all(
+    collections.map(({ collection }) =>
+      db
+        .collection(collection)
+        .find(
+          {
+            deleted: { $ne: true },
+            $or: [{ openReportCount: { $gt: 0 } }, { flagged: true }],
+          },
+          { projection: { votes: 0, voteTimes: 0 } }
+        )
+        .sort({ openReportCount: -1, _id: -1 })
+        .limit(limit)
+        .toArray()
+    )
+  );
+
+  const items = collections.flatMap(({ kind, collection }, i) =>
+    perCollection[i].map((doc) => ({ kind, collection, doc }))
+  );
+  items.sort(
+    (a, b) =>
+      (b.doc.openReportCount || 0) - (a.doc.openReportCount || 0) ||
+      b.doc._id.getTimestamp?.() - a.doc._id.getTimestamp?.() ||
+      0
+  );
+  const page = items.slice(0, limit);
+
+  // Attach open reports per item
+  const reports = page.length
+    ? await db
+        .collection("reports")
+        .find({
+          status: "open",
+          $or: page.map((it) => ({ collection: it.collection, targetId: it.doc._id })),
+        })
+        .sort({ createdAt: -1 })
+        .toArray()
+    : [];
+  const byItem = new Map();
+  for (const r of reports) {
+    const key = `${r.collection}:${r.targetId}`;
+    if (!byItem.has(key)) byItem.set(key, []);
+    byItem.get(key).push({ ...r, _id: String(r._id), targetId: String(r.targetId) });
+  }
+
+  return page.map(({ kind, collection, doc }) => ({
+    kind,
+    collection,
+    id: String(doc._id),
+    hidden: doc.hidden === true,
+    flagged: doc.flagged === true,
+    flaggedReason: doc.flaggedReason || null,
+    openReportCount: doc.openReportCount || 0,
+    reportCount: doc.reportCount || 0,
+    reports: byItem.get(`${collection}:${doc._id}`) || [],
+    item: { ...doc, _id: String(doc._id) },
+  }));
+}
+
+/**
+ * Apply a moderator action to one item.
+ * Returns { error, status } or { ok: true, action }.
+ *
+ * @param {object} opts
+ * @param {string} opts.targetName - collection name or post route
+ * @param {string} opts.id
+ * @param {string} opts.action - one of MODERATION_ACTIONS
+ * @param {{uid:string, role:string}} opts.actor
+ * @param {string} [opts.note]
+ */
+export async function applyModerationAction({ targetName, id, action, actor, note }) {
+  const target = resolveTarget(targetName);
+  if (!target) return { error: "Unknown collection.", status: 404 };
+  if (!MODERATION_ACTIONS.includes(action))
+    return { error: `action must be one of ${MODERATION_ACTIONS.join(", ")}`, status: 400 };
+
+  const db = getDB();
+  const items = db.collection(target.collection);
+  const doc = await items.findOne({ ...itemIdQuery(id), deleted: { $ne: true } });
+  if (!doc) return { error: "Not found.", status: 404 };
+
+  const now = new Date();
+  const moderation = { action, by: actor.uid, at: now, note: note || null };
+  // Every action closes the item's open reports and clears auto-flags
+  const update = {
+    $set: { moderation, openReportCount: 0 },
+    $unset: { flagged: "", flaggedReason: "", flaggedAt: "" },
+  };
+
+  if (action === "hide" || action === "ban")
+    Object.assign(update.$set, {
+      hidden: true,
+      hiddenAt: now,
+      hiddenBy: actor.uid,
+      hiddenReason: action === "ban" ? "ban" : "moderator",
+    });
+  if (action === "restore")
+    Object.assign(update.$unset, { hidden: "", hiddenAt: "", hiddenBy: "", hiddenReason: "" });
+  if (action === "delete")
+    Object.assign(update.$set, { deleted: true, deletedBy: actor.uid, deletedAt: now });
+
+  if (action === "ban") {
+    if (!doc.user_id) return { error: "Item has no author to ban.", status: 400 };
+    if (isModerator(await getUserRole(doc.user_id)))
+      return { error: "Moderators and admins cannot be banned.", status: 403 };
+
+    await db.collection("users").updateOne(
+      { user_id: String(doc.user_id) },
+      {
+        $set: { banned: true, bannedAt: now, bannedBy: actor.uid, banReason: note || null },
+        $setOnInsert: { createdAt: now },
+      },
+      { upsert: true }
+    );
+  }
+
+  await items.updateOne({ _id: doc._id }, update);
+  await db
+    .collection("reports")
+    .updateMany(
+      { collection: target.collection, targetId: doc._id, status: "open" },
+      { $set: { status: "closed", resolution: action, closedBy: actor.uid, closedAt: now } }
+    );
+
+  await recordAudit({
+    action: `moderation_${action}`,
+    collection: target.collection,
+    docId: doc._id,
+    actorId: actor.uid,
+    actorRole: actor.role || null,
+    snapshot: doc,
+    meta: { note: note || null, ...(action === "ban" ? { bannedUserId: doc.user_id } : {}) },
+  });
+
+  return { ok: true, action };
+}
+
+/** Lift a ban (admin/moderator). */
+export async function unbanUser(userId, actor) {
+  const db = getDB();
+  const r = await db
+    .collection("users")
+    .updateOne(
+      { user_id: String(userId), banned: true },
+      { $set: { banned: false }, $unset: { bannedAt: "", bannedBy: "", banReason: "" } }
+    );
+  if (!r.matchedCount) return { error: "User is not banned.", status: 404 };
+
+  await recordAudit({
+    action: "moderation_unban",
+    collection: "users",
+    docId: userId,
+    actorId: actor.uid,
+    actorRole: actor.role || null,
+  });
+  return { ok: true };
+}
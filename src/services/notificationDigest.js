@@ -0,0 +1,199 @@
+/**
+ * /src/services/notificationDigest.js
+ * -------------------------------------------------------------
+ * Digest delivery for low-urgency activity (follower updates, nearby
+ * offers) when a user picked "digest" for that event type
+ * (notificationPrefs.delivery).
+ *
+ *   ✅ notification_digests: one pending digest per user (counts per
+ *      event type + the latest items), in Mongo so it survives restarts
+ *   ✅ Due digestIntervalMinutes after its first item; flushed by cron as
+ *      one summary push ("5 new comments and 3 confirmations on posts
+ *      you follow") through the outbox
+ *   ✅ Held back during the user's quiet hours
+ * -------------------------------------------------------------
+ */
+
+import { getDB } from "../db.js";
+import { digestIntervalFor, effectivePrefs, inQuietHours } from "./notificationPrefs.js";
+import { enqueueNotification } from "./notificationOutbox.js";
+
+const MAX_ITEMS = 20;
+const MAX_FLUSH_PER_RUN = 500;
+const QUIET_HOURS_RETRY_MS = 15 * 60 * 1000;
+
+const LABELS = {
+  comment: ["new comment", "new comments"],
+  confirm: ["confirmation", "confirmations"],
+  dispute: ["dispute", "disputes"],
+  follow: ["new follower", "new followers"],
+  status: ["status update", "status updates"],
+  resolve: ["resolved post", "resolved posts"],
+};
+
+const digests = () => getDB().collection("notification_digests");
+
+function digestUpdate(counts, items, dueAt, now) {
+  return {
+    $inc: Object.fromEntries(Object.entries(counts).map(([k, n]) => [`counts.${k}`, n])),
+    $push: { items: { $each: items, $slice: -MAX_ITEMS } },
+    $min: { dueAt },
+    $set: { updatedAt: now },
+    $setOnInsert: { createdAt: now },
+  };
+}
+
+async function upsertDigests(ops) {
+  try {
+    await digests().bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    // Concurrent first items for a user → retry those as plain updates
+    const dup = (err?.writeErrors || []).filter((e) => e.code === 11000).map((e) => e.index);
+    if (!dup.length || dup.length !== err.writeErrors.length) throw err;
+    await digests().bulkWrite(dup.map((i) => ops[i]), { ordered: false });
+  }
+}
+
+/**
+ * Add events to their users' pending digests.
+ *
+ * @param {{ user: object, eventType: string, collection: string,
+ *   docId: string }[]} entries - user: users doc (user_id, notificationPrefs)
+ */
+export async function addToDigest(entries) {
+  if (!entries?.length) return;
+  const now = new Date();
+  const ops = entries.map(({ user, eventType, collection, docId }) => ({
+    updateOne: {
+      filter: { user_id: String(user.user_id) },
+      update: digestUpdate(
+        { [eventType]: 1 },
+        [{ eventType, collection, docId: String(docId), at: now }],
+        new Date(now.getTime() + digestIntervalFor(user) * 60 * 1000),
+        now
+      ),
+      upsert: true,
+    },
+  }));
+  await upsertDigests(ops);
+}
+
+// Put a claimed digest back (merged with anything added since)
+async function restoreDigest(doc, dueAt) {
+  await upsertDigests([
+    {
+      updateOne: {
+        filter: { user_id: doc.user_id },
+        update: digestUpdate(doc.counts || {}, doc.items || [], dueAt, new Date()),
+        upsert: true,
+      },
+    },
+  ]);
+}
+
+const plural = (n, [one, many]) => `${n} ${n === 1 ? one : many}`;
+
+function joinParts(parts) {
+  return parts.length <= 1
+    ? parts.join("")
+    : `${parts.slice(0, -1).join(", ")} and ${parts[parts.length - 1]}`;
+}
+
+/** "5 new comments and 3 confirmations on posts you follow. 2 new offers …" */
+export function digestSummary(counts = {}) {
+  const sentences = [];
+  const followParts = Object.keys(LABELS)
+    .filter((k) => counts[k] > 0)
+    .map((k) => plural(counts[k], LABELS[k]));
+  if (followParts.length) sentences.push(`${joinParts(followParts)} on posts you follow.`);
+  if (counts.nearby_offer > 0)
+    sentences.push(`${plural(counts.nearby_offer, ["new offer", "new offers"])} to help near you.`);
+  return sentences.join(" ");
+}
+
+async function sendDigest(doc) {
+  const user = await getDB()
+    .collection("users")
+    .findOne(
+      { user_id: doc.user_id },
+      { projection: { user_id: 1, fcm_tokens: 1, notificationsEnabled: 1, notificationPrefs: 1 } }
+    );
+  const tokens = (user?.fcm_tokens || []).filter((t) => typeof t === "string" && t.length > 10);
+  if (user?.notificationsEnabled === false || !tokens.length) return "dropped";
+
+  if (inQuietHours(effectivePrefs(user).quietHours)) {
+    await restoreDigest(doc, new Date(Date.now() + QUIET_HOURS_RETRY_MS));
+    return "held";
+  }
+
+  const items = doc.items || [];
+  const docIds = new Set(items.map((i) => `${i.collection}/${i.docId}`));
+  const collections = new Set(items.map((i) => i.collection));
+  const total = Object.values(doc.counts || {}).reduce((a, n) => a + n, 0);
+  const single = docIds.size === 1 && items.length === total ? items[0] : null;
+
+  const message = {
+    notification: { title: "📬 Your activity digest", body: digestSummary(doc.counts) },
+    data: {
+      senderId: "",
+      action: "digest",
+      collection: single?.collection || "",
+      docId: single?.docId || "",
+      deeplink: single
+        ? `disasterhelp://detail?c=${single.collection}&id=${single.docId}`
+        : "disasterhelp://home",
+    },
+    android: {
+      priority: "normal",
+      collapseKey: "digest",
+      notification: { channelId: "alerts", tag: "digest" },
+    },
+    apns: {
+      headers: { "apns-priority": "5", "apns-collapse-id": "digest" },
+      payload: { aps: { sound: "default" } },
+    },
+  };
+
+  await enqueueNotification({
+    kind: "digest",
+    dedupeKey: `digest:${doc._id}`,
+    message,
+    recipients: tokens.map((token) => ({ token, userId: user.user_id })),
+    meta: {
+      collection: collections.size === 1 ? [...collections][0] : null,
+      userId: user.user_id,
+      count: total,
+    },
+  });
+  return "sent";
+}
+
+let flushing = false;
+
+/** Send every digest that is due (cron) */
+export async function flushDueDigests() {
+  if (flushing) return;
+  flushing = true;
+  const stats = { sent: 0, held: 0, dropped: 0 };
+  try {
+    for (let i = 0; i < MAX_FLUSH_PER_RUN; i++) {
+      const doc = await digests().findOneAndDelete(
+        { dueAt: { $lte: new Date() } },
+        { sort: { dueAt: 1 } }
+      );
+      if (!doc) break;
+      try {
+        stats[await sendDigest(doc)]++;
+      } catch (err) {
+        console.error(`[DIGEST] ❌ ${doc.user_id}:`, err);
+        await restoreDigest(doc, new Date(Date.now() + 60 * 1000)).catch(() => {});
+      }
+    }
+    if (stats.sent || stats.held || stats.dropped)
+      console.log(`[DIGEST] 📬 sent=${stats.sent}, held=${stats.held}, dropped=${stats.dropped}`);
+  } catch (err) {
+    console.error("[DIGEST] ❌ flush failed:", err);
+  } finally {
+    flushing = false;
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * /src/services/notificationInbox.js
+ * -------------------------------------------------------------
+ * Per-user in-app inbox (notification_inbox): every nearby / follower
+ * notification is also stored here, so a dismissed push can be found
+ * again on the app's notifications screen.
+ *
+ *   ✅ One item per user (not per device) with the push's title, body
+ *      and data (collection, docId, deeplink, ...)
+ *   ✅ Written for digest-mode users too; the digest push is only the
+ *      summary, the inbox keeps each item
+ *   ✅ Independent of push: users with no or muted devices, push off or
+ *      in quiet hours still get the item (only collection/type preferences
+ *      apply, notificationPrefs.inboxBlockReason)
+ *   ✅ Optional key: an event is stored at most once per user
+ *   ✅ Read state + unread count; old items expire (TTL)
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - NOTIFY_INBOX_RETENTION_DAYS=90
+ */
+
+import { ObjectId } from "mongodb";
+import { getDB } from "../db.js";
+
+export const INBOX_RETENTION_SECONDS =
+  Number(process.env.NOTIFY_INBOX_RETENTION_DAYS || 90) * 24 * 3600;
+
+const INSERT_CHUNK = 1000;
+const MAX_MARK_IDS = 200;
+
+const inbox = () => getDB().collection("notification_inbox");
+
+/**
+ * Store one notification in each user's inbox.
+ *
+ * @param {string[]} userIds
+ * @param {object} item
+ * @param {string} item.kind - nearby | follow
+ * @param {string} item.title
+ * @param {string} item.body
+ * @param {object} [item.data] - push data payload (deeplink, docId, ...)
+ * @param {string} [item.key] - store at most once per (user, key)
+ * @returns {Promise<number>} items inserted
+ */
+export async function addToInbox(userIds, { kind, title, body, data = {}, key = null }) {
+  const ids = Array.from(new Set((userIds || []).filter(Boolean).map(String)));
+  if (!ids.length) return 0;
+
+  const now = new Date();
+  const rows = ids.map((user_id) => ({
+    user_id,
+    kind,
+    ...(key ? { key } : {}),
+    title,
+    body,
+    data,
+    read: false,
+    readAt: null,
+    createdAt: now,
+  }));
+
+  let inserted = 0;
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    try {
+      const r = await inbox().insertMany(rows.slice(i, i + INSERT_CHUNK), { ordered: false });
+      inserted += r.insertedCount;
+    } catch (err) {
+      // Already in some inboxes (same key) → keep the rest
+      if (!(err?.writeErrors || []).every((e) => e.code === 11000)) throw err;
+      inserted += err.result?.insertedCount ?? 0;
+    }
+  }
+  return inserted;
+}
+
+/** Inbox item → API shape */
+export function serializeInboxItem(d) {
+  return {
+    id: d._id.toString(),
+    kind: d.kind,
+    title: d.title,
+    body: d.body,
+    data: d.data || {},
+    read: d.read === true,
+    readAt: d.readAt || null,
+    createdAt: d.createdAt,
+  };
+}
+
+export function unreadCount(userId) {
+  return inbox().countDocuments({ user_id: String(userId), read: false });
+}
+
+/**
+ * Mark some of the user's items read.
+ * Returns { updated } or { error }.
+ */
+export async function markInboxRead(userId, ids) {
+  if (!Array.isArray(ids) || !ids.length || ids.length > MAX_MARK_IDS)
+    return { error: `ids must be a list of 1-${MAX_MARK_IDS} notification ids` };
+  if (!ids.every((id) => ObjectId.isValid(String(id))))
+    return { error: "Invalid notification id" };
+
+  const r = await inbox().updateMany(
+    {
+      _id: { $in: ids.map((id) => new ObjectId(String(id))) },
+      user_id: String(userId),
+      read: false,
+    },
+    { $set: { read: true, readAt: new Date() } }
+  );
+  return { updated: r.modifiedCount };
+}
+
+/** Mark every unread item read. Returns { updated }. */
+export async function markAllInboxRead(userId) {
+  const r = await inbox().updateMany(
+    { user_id: String(userId), read: false },
+    { $set: { read: true, readAt: new Date() } }
+  );
+  return { updated: r.modifiedCount };
+}
@@ -0,0 +1,391 @@
+/**
+ * /src/services/notificationOutbox.js
+ * -------------------------------------------------------------
+ * Durable push delivery. The notify* services resolve their audience
+ * and enqueue one outbox entry; the worker sends it.
+ *
+ *   ✅ notification_outbox: message + status/attempts (one per push)
+ *   ✅ notification_deliveries: one row per token (userId, status,
+ *      messageId / errorCode), i.e. what was sent to whom
+ *   ✅ Sent in batches of 500 through the push providers (push/), each
+ *      token on its device's transport; transient errors retried with
+ *      exponential backoff; invalid tokens removed from the registry
+ *   ✅ Per-device feed limits (device_tokens settings) applied at enqueue
+ *   ✅ Lease-based claiming: several instances can run the worker, and a
+ *      send interrupted by a crash is picked up again once the lease ends
+ *   ✅ Unique dedupeKey: a push with the same key is only queued once
+ *   ✅ Optional SMS/email fallback for users none of whose devices got
+ *      the push (fallbackNotify.js)
+ * -------------------------------------------------------------
+ *
+ * Outbox status:
+ *   enqueuing → pending → sending → sent | partial | failed
+ *   (sending → retrying → sending ... while transient errors remain)
+ *   An entry still "enqueuing" after ENQUEUE_GRACE_MS (crash mid-enqueue)
+ *   is released as pending and sent to the delivery rows that were written.
+ *
+ * Delivery status: pending | sent | invalid | failed
+ *
+ * Env knobs:
+ *  - NOTIFY_MAX_ATTEMPTS=5
+ *  - NOTIFY_RETRY_BASE_SECONDS=30       (doubles per attempt, max 1h)
+ *  - NOTIFY_LOG_RETENTION_DAYS=30       (TTL on outbox + deliveries)
+ */
+
+import crypto from "crypto";
+import { getDB } from "../db.js";
+import { routeRecipients, removeDeviceTokens } from "./deviceTokens.js";
+import { deliverPush } from "./push/index.js";
+import { sendFallback } from "./fallbackNotify.js";
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_SECONDS || 30) * 1000;
+const RETRY_MAX_MS = 3600 * 1000;
+export const NOTIFY_LOG_RETENTION_SECONDS =
+  Number(process.env.NOTIFY_LOG_RETENTION_DAYS || 30) * 24 * 3600;
+
+const MULTICAST_LIMIT = 500;
+const LEASE_MS = 2 * 60 * 1000;
+const ENQUEUE_GRACE_MS = 10 * 60 * 1000;
+const MAX_JOBS_PER_DRAIN = 50;
+const WORKER_ID = `${process.pid}-${crypto.randomUUID().slice(0, 8)}`;
+
+const outbox = () => getDB().collection("notification_outbox");
+const deliveries = () => getDB().collection("notification_deliveries");
+
+function backoffMs(attempt) {
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempt - 1));
+}
+
+/** Whether a push with this dedupeKey was already queued */
+export async function isNotificationQueued(dedupeKey) {
+  if (!dedupeKey) return false;
+  return !!(await outbox().findOne({ dedupeKey }, { projection: { _id: 1 } }));
+}
+
+/**
+ * Queue a push for delivery.
+ *
+ * @param {object} opts
+ * @param {string} opts.kind - nearby | follow | alert | direct | ...
+ * @param {object} opts.message - FCM-shaped message without `tokens`
+ *   (see push/index.js)
+ * @param {{token:string, userId:string|null}[]} opts.recipients
+ * @param {string} [opts.dedupeKey] - queue at most once per key
+ * @param {object} [opts.meta] - collection, docId, ... (shown in admin)
+ * @param {object} [opts.fallback] - { template, vars, dedupeKey, event }:
+ *   SMS/email for users with no successful delivery (sendFallback)
+ * @returns {Promise<{ id: import("mongodb").ObjectId|null, count: number,
+ *   duplicate?: boolean }>}
+ */
+export async function enqueueNotification({
+  kind,
+  message,
+  recipients,
+  dedupeKey = null,
+  meta = {},
+  fallback = null,
+}) {
+  const byToken = new Map();
+  for (const r of await routeRecipients(recipients || [], meta.collection)) {
+    if (typeof r?.token === "string" && r.token.length > 10 && !byToken.has(r.token))
+      byToken.set(r.token, r);
+  }
+  if (byToken.size === 0) return { id: null, count: 0 };
+
+  const now = new Date();
+  let id;
+  try {
+    const r = await outbox().insertOne({
+      kind,
+      ...(dedupeKey ? { dedupeKey } : {}),
+      status: "enqueuing",
+      message,
+      meta,
+      ...(fallback ? { fallback } : {}),
+      recipientCount: byToken.size,
+      userCount: new Set([...byToken.values()].map((r) => r.userId).filter(Boolean)).size,
+      counts: { pending: byToken.size, sent: 0, invalid: 0, failed: 0 },
+      attempts: 0,
+      nextAttemptAt: now,
+      lockedUntil: null,
+      createdAt: now,
+    });
+    id = r.insertedId;
+  } catch (err) {
+    if (err?.code === 11000) return { id: null, count: 0, duplicate: true };
+    throw err;
+  }
+
+  const rows = Array.from(byToken.values(), (r) => ({
+    notificationId: id,
+    token: r.token,
+    userId: r.userId ? String(r.userId) : null,
+    transport: r.transport,
+    status: "pending",
+    attempts: 0,
+    createdAt: now,
+  }));
+  for (let i = 0; i < rows.length; i += 1000)
+    await deliveries().insertMany(rows.slice(i, i + 1000), { ordered: false });
+
+  // Only now visible to the worker (all delivery rows exist)
+  await outbox().updateOne({ _id: id, status: "enqueuing" }, { $set: { status: "pending" } });
+  kickNotificationWorker();
+  return { id, count: byToken.size };
+}
+
+// ---------------------------------------------------------------------------
+// 👷 Worker
+// ---------------------------------------------------------------------------
+let draining = false;
+let drainAgain = false;
+
+/** Drain soon, in this process (called after enqueue) */
+export function kickNotificationWorker() {
+  setImmediate(() => drainNotificationOutbox());
+}
+
+/**
+ * Send every due outbox entry. Safe to call concurrently (per process and
+ * across instances). Never throws.
+ */
+export async function drainNotificationOutbox() {
+  if (draining) {
+    drainAgain = true;
+    return;
+  }
+  draining = true;
+  try {
+    await recoverInterruptedEnqueues();
+    do {
+      drainAgain = false;
+      for (let n = 0; n < MAX_JOBS_PER_DRAIN; n++) {
+        const job = await claimNextNotification();
+        if (!job) break;
+        await processNotification(job);
+      }
+    } while (drainAgain);
+  } catch (err) {
+    console.error("[OUTBOX] ❌ drain failed:", err);
+  } finally {
+    draining = false;
+  }
+}
+
+// An enqueue that crashed before "pending" would otherwise never be sent,
+// and its dedupeKey would block re-enqueueing it
+async function recoverInterruptedEnqueues() {
+  const r = await outbox().updateMany(
+    {
+      status: "enqueuing",
+      createdAt: { $lte: new Date(Date.now() - ENQUEUE_GRACE_MS) },
+    },
+    { $set: { status: "pending", recoveredAt: new Date() } }
+  );
+  if (r.modifiedCount)
+    console.warn(`[OUTBOX] ⚠️ Released ${r.modifiedCount} interrupted enqueue(s) as pending`);
+}
+
+async function claimNextNotification() {
+  const now = new Date();
+  return outbox().findOneAndUpdate(
+    {
+      status: { $in: ["pending", "retrying", "sending"] },
+      nextAttemptAt: { $lte: now },
+      lockedUntil: { $not: { $gt: now } },
+    },
+    {
+      $set: {
+        status: "sending",
+        lockedUntil: new Date(now.getTime() + LEASE_MS),
+        lockedBy: WORKER_ID,
+        lastAttemptAt: now,
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+  );
+}
+
+/** One batch → per-token delivery status (transient → stays pending) */
+async function sendBatch(message, batch) {
+  const results = await deliverPush(
+    message,
+    batch.map((d) => ({ token: d.token, transport: d.transport }))
+  );
+  return results.map((r) => ({ ...r, status: r.status === "transient" ? "pending" : r.status }));
+}
+
+async function countDeliveries(notificationId) {
+  const rows = await deliveries()
+    .aggregate([
+      { $match: { notificationId } },
+      { $group: { _id: "$status", n: { $sum: 1 } } },
+    ])
+    .toArray();
+  const counts = { pending: 0, sent: 0, invalid: 0, failed: 0 };
+  for (const r of rows) counts[r._id] = r.n;
+  return counts;
+}
+
+/** user_ids with deliveries but none of them sent */
+async function unreachedUserIds(notificationId) {
+  const rows = await deliveries()
+    .aggregate([
+      { $match: { notificationId, userId: { $ne: null } } },
+      {
+        $group: {
+          _id: "$userId",
+          sent: { $sum: { $cond: [{ $eq: ["$status", "sent"] }, 1, 0] } },
+        },
+      },
+      { $match: { sent: 0 } },
+    ])
+    .toArray();
+  return rows.map((r) => r._id);
+}
+
+async function processNotification(job) {
+  const label = `${job.kind} ${job._id}`;
+  try {
+    let lastId = null;
+    for (;;) {
+      const batch = await deliveries()
+        .find({
+          notificationId: job._id,
+          status: "pending",
+          ...(lastId ? { _id: { $gt: lastId } } : {}),
+        })
+        .sort({ _id: 1 })
+        .limit(MULTICAST_LIMIT)
+        .toArray();
+      if (!batch.length) break;
+      lastId = batch[batch.length - 1]._id;
+
+      const results = await sendBatch(job.message, batch);
+      const now = new Date();
+
+      await deliveries().bulkWrite(
+        batch.map((d, i) => ({
+          updateOne: {
+            filter: { _id: d._id },
+            update: {
+              $set: {
+                status: results[i].status,
+                updatedAt: now,
+                ...(results[i].messageId ? { messageId: results[i].messageId, sentAt: now } : {}),
+                ...(results[i].errorCode ? { errorCode: results[i].errorCode } : {}),
+              },
+              $inc: { attempts: 1 },
+            },
+          },
+        })),
+        { ordered: false }
+      );
+
+      // --- Clean invalid tokens ---
+      const invalid = batch.filter((_, i) => results[i].status === "invalid").map((d) => d.token);
+      if (invalid.length > 0) {
+        await removeDeviceTokens(invalid);
+        console.log(`[OUTBOX] 🧹 Removed ${invalid.length} invalid tokens.`);
+      }
+
+      // Keep the lease while a large fan-out is still going
+      await outbox().updateOne(
+        { _id: job._id, lockedBy: WORKER_ID },
+        { $set: { lockedUntil: new Date(Date.now() + LEASE_MS) } }
+      );
+    }
+
+    let counts = await countDeliveries(job._id);
+    const now = new Date();
+
+    if (counts.pending > 0 && job.attempts < MAX_ATTEMPTS) {
+      const delay = backoffMs(job.attempts);
+      await outbox().updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "retrying",
+            counts,
+            nextAttemptAt: new Date(now.getTime() + delay),
+            lockedUntil: null,
+          },
+        }
+      );
+      console.log(
+        `[OUTBOX] 🔁 ${label}: ${counts.pending} pending after attempt ${job.attempts}, retry in ${Math.round(delay / 1000)}s`
+      );
+      return;
+    }
+
+    if (counts.pending > 0) {
+      await deliveries().updateMany(
+        { notificationId: job._id, status: "pending" },
+        { $set: { status: "failed", updatedAt: now } }
+      );
+      counts = await countDeliveries(job._id);
+    }
+
+    const status = counts.failed === 0 ? "sent" : counts.sent === 0 ? "failed" : "partial";
+    await outbox().updateOne(
+      { _id: job._id },
+      { $set: { status, counts, completedAt: now, lockedUntil: null } }
+    );
+    console.log(
+      `[OUTBOX] 📤 ${label} -> ${counts.sent}/${job.recipientCount} ok (invalid: ${counts.invalid}, failed: ${counts.failed})`
+    );
+
+    if (job.fallback && counts.sent < job.recipientCount) {
+      try {
+        const userIds = await unreachedUserIds(job._id);
+        if (userIds.length) await sendFallback({ ...job.fallback, userIds });
+      } catch (err) {
+        console.error(`[OUTBOX] ❌ ${label} fallback:`, err);
+      }
+    }
+  } catch (err) {
+    console.error(`[OUTBOX] ❌ ${label}:`, err);
+    const lastError = String(err?.message || err);
+    try {
+      if (job.attempts < MAX_ATTEMPTS) {
+        await outbox().updateOne(
+          { _id: job._id },
+          {
+            $set: {
+              status: "retrying",
+              nextAttemptAt: new Date(Date.now() + backoffMs(job.attempts)),
+              lockedUntil: null,
+              lastError,
+            },
+          }
+        );
+        return;
+      }
+
+      // Out of attempts: same terminal transition as above
+      const now = new Date();
+      await deliveries().updateMany(
+        { notificationId: job._id, status: "pending" },
+        { $set: { status: "failed", updatedAt: now } }
+      );
+      const counts = await countDeliveries(job._id);
+      await outbox().updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: counts.failed === 0 ? "sent" : counts.sent === 0 ? "failed" : "partial",
+            counts,
+            completedAt: now,
+            lockedUntil: null,
+            lastError,
+          },
+        }
+      );
+      console.log(`[OUTBOX] 🛑 ${label}: giving up after ${job.attempts} attempts`);
+    } catch {
+      // Lease runs out and another drain picks the job up again
+    }
+  }
+}
@@ -0,0 +1,336 @@
+/**
+ * /src/services/notificationPrefs.js
+ * -------------------------------------------------------------
+ * Per-user push preferences, stored on users.notificationPrefs:
+ *
+ *   collections          which feeds to receive (post collections +
+ *                        "alerts_cap"); null = all
+ *   types                post types to receive ("flood", "medical", ...),
+ *                        case-insensitive; null = all
+ *   minAlertSeverity     Minor | Moderate | Severe | Extreme (official
+ *                        alerts only); null = server default
+ *   quietHours           { start: "22:00", end: "07:00", timezone } in the
+ *                        user's IANA timezone; null = off. Emergency help
+ *                        requests and Extreme alerts still go through.
+ *   radiusMiByCollection { hazards: 25, ... } overrides users.radiusMi
+ *   fallbackChannels     { sms, email } opt-in to text/email for emergency
+ *                        requests + Severe/Extreme alerts when push can't
+ *                        reach the user (needs a verified contact)
+ *   delivery             { comment: "digest", status: "instant", ... }
+ *                        per low-urgency event type (DIGEST_EVENT_TYPES),
+ *                        all "instant" unless the user opts in;
+ *                        digests are summarized by notificationDigest.js
+ *   digestIntervalMinutes how often a digest goes out; null = server
+ *                        default
+ *
+ * users.notificationsEnabled=false still switches everything off.
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - NOTIFY_MAX_RADIUS_MI=500   (cap on any geofence radius; bounds the
+ *                                $geoNear candidate query)
+ *  - NOTIFY_DIGEST_INTERVAL_MINUTES=60
+ */
+
+import { POST_TYPES } from "../postTypes/index.js";
+
+// A function, not a constant: postTypes → matching → notifications imports
+// this module before POST_TYPES is initialized.
+export function notifiableCollections() {
+  return [...POST_TYPES.map((t) => t.collection), "alerts_cap"];
+}
+export const SEVERITY_LEVELS = ["Minor", "Moderate", "Severe", "Extreme"];
+
+// Follower updates (notifyFollowersOfUpdate actions) + nearby offers
+export const DIGEST_EVENT_TYPES = [
+  "comment",
+  "confirm",
+  "dispute",
+  "follow",
+  "status",
+  "resolve",
+  "nearby_offer",
+];
+export const DELIVERY_MODES = ["instant", "digest"];
+export const DIGEST_INTERVAL_MINUTES = Number(process.env.NOTIFY_DIGEST_INTERVAL_MINUTES || 60);
+const DIGEST_INTERVAL_RANGE = [15, 24 * 60];
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+  collections: null,
+  types: null,
+  minAlertSeverity: null,
+  quietHours: null,
+  radiusMiByCollection: {},
+  fallbackChannels: { sms: false, email: false },
+  // Digest is opt-in per event type
+  delivery: Object.fromEntries(DIGEST_EVENT_TYPES.map((t) => [t, "instant"])),
+  digestIntervalMinutes: null,
+};
+
+export const MAX_NOTIFY_RADIUS_MI = Number(process.env.NOTIFY_MAX_RADIUS_MI || 500);
+
+const MAX_TYPES = 50;
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const severityRank = (s) =>
+  SEVERITY_LEVELS.findIndex((l) => l.toLowerCase() === String(s || "").toLowerCase()) + 1;
+
+function isTimeZone(tz) {
+  if (typeof tz !== "string" || !tz) return false;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const toMinutes = (hhmm) => {
+  const [, h, m] = TIME_RE.exec(hhmm);
+  return Number(h) * 60 + Number(m);
+};
+
+/** Minutes since local midnight in `timeZone` */
+function localMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find((p) => p.type === type)?.value || 0);
+  return get("hour") * 60 + get("minute");
+}
+
+/** Whether `date` falls in the quiet window (windows may wrap midnight) */
+export function inQuietHours(quietHours, date = new Date()) {
+  if (!quietHours?.start || !quietHours?.end || !isTimeZone(quietHours.timezone)) return false;
+  const now = localMinutes(date, quietHours.timezone);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/** Stored prefs merged over the defaults */
+export function effectivePrefs(user) {
+  return {
+    ...DEFAULT_NOTIFICATION_PREFS,
+    ...(user?.notificationPrefs || {}),
+    radiusMiByCollection: { ...(user?.notificationPrefs?.radiusMiByCollection || {}) },
+    fallbackChannels: {
+      ...DEFAULT_NOTIFICATION_PREFS.fallbackChannels,
+      ...(user?.notificationPrefs?.fallbackChannels || {}),
+    },
+    delivery: {
+      ...DEFAULT_NOTIFICATION_PREFS.delivery,
+      ...(user?.notificationPrefs?.delivery || {}),
+    },
+  };
+}
+
+/**
+ * "instant" or "digest" for one event type. Urgent events (emergency
+ * requests) and types outside DIGEST_EVENT_TYPES are always instant.
+ */
+export function deliveryMode(user, eventType, event = {}) {
+  if (event.urgent || !DIGEST_EVENT_TYPES.includes(eventType)) return "instant";
+  return effectivePrefs(user).delivery[eventType] === "digest" ? "digest" : "instant";
+}
+
+/** Minutes between a user's digests */
+export function digestIntervalFor(user) {
+  const m = user?.notificationPrefs?.digestIntervalMinutes;
+  return typeof m === "number" && m > 0 ? m : DIGEST_INTERVAL_MINUTES;
+}
+
+/**
+ * Geofence radius for one collection: per-collection → users.radiusMi →
+ * fallback, capped at MAX_NOTIFY_RADIUS_MI.
+ */
+export function radiusForCollection(user, collection, fallbackMi) {
+  const perCollection = user?.notificationPrefs?.radiusMiByCollection?.[collection];
+  const radius =
+    typeof perCollection === "number" && perCollection > 0
+      ? perCollection
+      : user?.radiusMi > 0
+      ? user.radiusMi
+      : fallbackMi;
+  return Math.min(radius, MAX_NOTIFY_RADIUS_MI);
+}
+
+/** Whether a radius setting is acceptable (0 < mi ≤ MAX_NOTIFY_RADIUS_MI) */
+export function isValidRadiusMi(mi) {
+  return typeof mi === "number" && mi > 0 && mi <= MAX_NOTIFY_RADIUS_MI;
+}
+
+// Collection / type preferences: what the user wants to hear about at all
+function feedBlockReason(prefs, event) {
+  if (Array.isArray(prefs.collections) && !prefs.collections.includes(event.collection))
+    return "collection";
+
+  if (Array.isArray(prefs.types) && Array.isArray(event.types) && event.types.length) {
+    const wanted = new Set(prefs.types.map((t) => String(t).toLowerCase()));
+    if (!event.types.some((t) => wanted.has(String(t).toLowerCase()))) return "type";
+  }
+  return null;
+}
+
+/**
+ * Why an in-app inbox item for this user should be skipped, or null to
+ * store it. Only collection/type preferences apply: push being off, muted
+ * devices and quiet hours don't hide the item from the inbox.
+ */
+export function inboxBlockReason(user, event) {
+  return feedBlockReason(effectivePrefs(user), event);
+}
+
+/**
+ * Why a push to this user should be suppressed, or null to send.
+ *
+ * @param {object} user - users doc (notificationsEnabled, notificationPrefs)
+ * @param {object} event
+ * @param {string} event.collection - post collection or "alerts_cap"
+ * @param {string[]} [event.types] - post types
+ * @param {string} [event.severity] - CAP severity (alerts)
+ * @param {boolean} [event.urgent] - emergency / Extreme: ignores quiet hours
+ * @param {Date} [event.now]
+ * @returns {null|"disabled"|"collection"|"type"|"severity"|"quiet_hours"}
+ */
+export function notificationBlockReason(user, event) {
+  if (user?.notificationsEnabled === false) return "disabled";
+  const prefs = effectivePrefs(user);
+
+  const feed = feedBlockReason(prefs, event);
+  if (feed) return feed;
+
+  if (event.collection === "alerts_cap" && prefs.minAlertSeverity) {
+    if (severityRank(event.severity) < severityRank(prefs.minAlertSeverity)) return "severity";
+  }
+
+  if (!event.urgent && inQuietHours(prefs.quietHours, event.now || new Date()))
+    return "quiet_hours";
+
+  return null;
+}
+
+/** Preference event for a post document */
+export function postNotificationEvent(collection, doc) {
+  return {
+    collection,
+    types: (Array.isArray(doc?.types) ? doc.types : [doc?.type]).filter(Boolean),
+    urgent: doc?.emergency === true,
+  };
+}
+
+/**
+ * Validate the preference fields of a PATCH /api/user/settings body.
+ * Only keys present in `body` are touched; null resets a key to default.
+ * Returns { set, unset } ($set / $unset paths) or { error }.
+ */
+export function validateNotificationPrefs(body) {
+  const set = {};
+  const unset = {};
+  const put = (key, value) => {
+    if (value === null) unset[`notificationPrefs.${key}`] = "";
+    else set[`notificationPrefs.${key}`] = value;
+  };
+
+  if (body.collections !== undefined) {
+    if (
+      body.collections !== null &&
+      (!Array.isArray(body.collections) ||
+        body.collections.some((c) => !notifiableCollections().includes(c)))
+    )
+      return { error: `collections must be a list of ${notifiableCollections().join(", ")}` };
+    put("collections", body.collections && Array.from(new Set(body.collections)));
+  }
+
+  if (body.types !== undefined) {
+    if (
+      body.types !== null &&
+      (!Array.isArray(body.types) ||
+        body.types.length > MAX_TYPES ||
+        body.types.some((t) => typeof t !== "string" || !t.trim()))
+    )
+      return { error: `types must be a list of at most ${MAX_TYPES} type names` };
+    put("types", body.types && Array.from(new Set(body.types.map((t) => t.trim()))));
+  }
+
+  if (body.minAlertSeverity !== undefined) {
+    if (body.minAlertSeverity !== null && !severityRank(body.minAlertSeverity))
+      return { error: `minAlertSeverity must be one of ${SEVERITY_LEVELS.join(", ")}` };
+    put(
+      "minAlertSeverity",
+      body.minAlertSeverity && SEVERITY_LEVELS[severityRank(body.minAlertSeverity) - 1]
+    );
+  }
+
+  if (body.quietHours !== undefined) {
+    const q = body.quietHours;
+    if (q !== null) {
+      if (typeof q !== "object" || !TIME_RE.test(q.start) || !TIME_RE.test(q.end))
+        return { error: "quietHours must be { start: \"HH:MM\", end: \"HH:MM\", timezone }" };
+      if (q.start === q.end) return { error: "quietHours start and end must differ" };
+      if (!isTimeZone(q.timezone))
+        return { error: "quietHours.timezone must be an IANA timezone (e.g. America/Chicago)" };
+    }
+    put("quietHours", q && { start: q.start, end: q.end, timezone: q.timezone });
+  }
+
+  if (body.radiusMiByCollection !== undefined) {
+    const r = body.radiusMiByCollection;
+    if (r !== null) {
+      if (typeof r !== "object" || Array.isArray(r))
+        return { error: "radiusMiByCollection must be an object" };
+      for (const [collection, mi] of Object.entries(r)) {
+        if (!POST_TYPES.some((t) => t.collection === collection))
+          return { error: `Unknown collection in radiusMiByCollection: ${collection}` };
+        if (mi !== null && !isValidRadiusMi(mi))
+          return { error: `radiusMiByCollection values must be 0-${MAX_NOTIFY_RADIUS_MI} miles` };
+      }
+    }
+    if (r === null) put("radiusMiByCollection", null);
+    else for (const [collection, mi] of Object.entries(r)) put(`radiusMiByCollection.${collection}`, mi);
+  }
+
+  if (body.fallbackChannels !== undefined) {
+    const f = body.fallbackChannels;
+    if (f !== null) {
+      if (typeof f !== "object" || Array.isArray(f))
+        return { error: "fallbackChannels must be { sms?: boolean, email?: boolean }" };
+      for (const [channel, on] of Object.entries(f)) {
+        if (!["sms", "email"].includes(channel))
+          return { error: `Unknown fallback channel: ${channel}` };
+        if (typeof on !== "boolean") return { error: "fallbackChannels values must be booleans" };
+      }
+    }
+    if (f === null) put("fallbackChannels", null);
+    else for (const [channel, on] of Object.entries(f)) put(`fallbackChannels.${channel}`, on);
+  }
+
+  if (body.delivery !== undefined) {
+    const d = body.delivery;
+    if (d !== null) {
+      if (typeof d !== "object" || Array.isArray(d))
+        return { error: "delivery must be an object of event type → instant|digest" };
+      for (const [eventType, mode] of Object.entries(d)) {
+        if (!DIGEST_EVENT_TYPES.includes(eventType))
+          return { error: `delivery keys must be ${DIGEST_EVENT_TYPES.join(", ")}` };
+        if (mode !== null && !DELIVERY_MODES.includes(mode))
+          return { error: "delivery values must be instant or digest" };
+      }
+    }
+    if (d === null) put("delivery", null);
+    else for (const [eventType, mode] of Object.entries(d)) put(`delivery.${eventType}`, mode);
+  }
+
+  if (body.digestIntervalMinutes !== undefined) {
+    const m = body.digestIntervalMinutes;
+    const [min, max] = DIGEST_INTERVAL_RANGE;
+    if (m !== null && (!Number.isInteger(m) || m < min || m > max))
+      return { error: `digestIntervalMinutes must be ${min}-${max}` };
+    put("digestIntervalMinutes", m);
+  }
+
+  return { set, unset };
+}
@@ -5,36 +5,29 @@
  *   ✅ Excludes the actor (creator) by ID and tokens
  *   ✅ Includes senderId in data payload for client-side filtering
  *   ✅ Collapses duplicate notifications by action/doc
- *   ✅ Cleans invalid tokens automatically
+ *   ✅ Delivered via the outbox (retries, delivery log, invalid token
+ *      cleanup — notificationOutbox.js)
+ *   ✅ Followers' notification preferences (types, quiet hours, ...)
+ *   ✅ Followers who chose digest delivery for this action get it in
+ *      their next digest instead (notificationDigest.js)
+ *   ✅ Stored in each follower's in-app inbox (notificationInbox.js)
+ * Plus direct pushes to specific users (notifyUsers) for matches etc.
  * -------------------------------------------------------------
  */
 
-import admin from "./firebaseAdmin.js";
 import { getDB } from "../db.js";
 import { ObjectId } from "mongodb";
+import {
+  deliveryMode,
+  inboxBlockReason,
+  notificationBlockReason,
+  postNotificationEvent,
+} from "./notificationPrefs.js";
+import { enqueueNotification } from "./notificationOutbox.js";
+import { addToDigest } from "./notificationDigest.js";
+import { addToInbox } from "./notificationInbox.js";
 
-// 🔖 Register FCM token (unchanged)
-export async function registerFcmToken(userId, token) {
-  if (!userId || !token) return { error: "Missing userId or token" };
-  try {
-    const db = getDB();
-    const users = db.collection("users");
-    await users.updateOne(
-      { user_id: userId },
-      {
-        $addToSet: { fcm_tokens: token },
-        $setOnInsert: { createdAt: new Date() },
-      },
-      { upsert: true }
-    );
-    return { message: "✅ FCM token registered successfully." };
-  } catch (err) {
-    console.error("❌ registerFcmToken:", err);
-    return { error: "Internal server error" };
-  }
-}
-
-// 🔔 Notify followers of an update (confirm/dispute/comment/resolve/follow)
+// 🔔 Notify followers of an update (confirm/dispute/comment/resolve/follow/status)
 export async function notifyFollowersOfUpdate(
   collection,
   docId,
@@ -64,15 +57,17 @@ export async function notifyFollowersOfUpdate(
 
     const users = db.collection("users");
 
-    // Fetch all follower user docs
+    // Fetch all follower user docs (with or without push devices: the
+    // inbox covers everyone)
     const followerUsers = await users
-      .find({
-        user_id: { $in: followerIds },
-        fcm_tokens: { $exists: true, $ne: [] },
-      })
-      .project({ user_id: 1, fcm_tokens: 1 })
+      .find({ user_id: { $in: followerIds } })
+      .project({ user_id: 1, fcm_tokens: 1, notificationsEnabled: 1, notificationPrefs: 1 })
       .toArray();
 
+    // Following a post is opt-in, so the geofence radius does not apply;
+    // everything else in the follower's preferences does.
+    const prefEvent = postNotificationEvent(collection, post);
+
     // Fetch actor's tokens (to exclude)
     const actor =
       actorUserId &&
@@ -86,20 +81,34 @@ export async function notifyFollowersOfUpdate(
         : []
     );
 
-    // Build token set excluding actor
-    const tokenSet = new Set();
+    // Recipients (token -> user_id) excluding actor
+    const recipients = new Map();
+    const digestEntries = [];
+    const inboxUserIds = new Set();
     for (const u of followerUsers) {
       if (u.user_id && String(u.user_id) === String(actorUserId)) continue;
+      if (!inboxBlockReason(u, prefEvent)) inboxUserIds.add(String(u.user_id));
+      if (!u.fcm_tokens?.length || notificationBlockReason(u, prefEvent)) continue;
+      if (deliveryMode(u, eventType, prefEvent) === "digest") {
+        digestEntries.push({ user: u, eventType, collection, docId: String(docId) });
+        continue;
+      }
       for (const t of u.fcm_tokens || []) {
-        if (typeof t === "string" && t.length > 10 && !actorTokens.has(t)) {
-          tokenSet.add(t);
+        if (typeof t === "string" && t.length > 10 && !actorTokens.has(t) && !recipients.has(t)) {
+          recipients.set(t, u.user_id);
         }
       }
     }
 
-    const tokens = Array.from(tokenSet);
-    if (tokens.length === 0) {
-      console.log(`[PUSH][follow] ℹ️ No follower tokens for ${collection}/${docId}`);
+    if (digestEntries.length) {
+      await addToDigest(digestEntries);
+      console.log(
+        `[PUSH][follow] 📬 ${collection}/${docId} ${eventType} → ${digestEntries.length} digest(s)`
+      );
+    }
+
+    if (inboxUserIds.size === 0) {
+      console.log(`[PUSH][follow] ℹ️ No follower to notify for ${collection}/${docId}`);
       return;
     }
 
@@ -110,6 +119,7 @@ export async function notifyFollowersOfUpdate(
       comment: "💬 Commented",
       resolve: "✅ Resolved",
       follow: "👀 Followed",
+      status: "🔄 Status",
     };
     const emoji = labelMap[eventType] || "📍";
     const title = `${emoji} Update on ${collection.replace("_", " ")}`;
@@ -130,7 +140,6 @@ export async function notifyFollowersOfUpdate(
         docId: String(docId),
         deeplink: `disasterhelp://detail?c=${collection}&id=${String(docId)}`,
       },
-      tokens,
       android: {
         priority: "high",
         collapseKey,
@@ -145,34 +154,94 @@ export async function notifyFollowersOfUpdate(
       },
     };
 
-    const res = await admin.messaging().sendEachForMulticast(message);
+    await addToInbox([...inboxUserIds], { kind: "follow", title, body, data: message.data });
+
+    if (recipients.size === 0) {
+      console.log(`[PUSH][follow] ℹ️ No instant follower tokens for ${collection}/${docId}`);
+      return;
+    }
+
+    const queued = await enqueueNotification({
+      kind: "follow",
+      message,
+      recipients: Array.from(recipients, ([token, userId]) => ({ token, userId })),
+      meta: { collection, docId: String(docId), action: String(eventType || "") },
+    });
     console.log(
-      `[PUSH][follow] 📤 ${collection}/${docId} ${eventType} -> ${res.successCount}/${tokens.length} ok`
+      `[PUSH][follow] 📥 ${collection}/${docId} ${eventType} queued ${queued.id} for ${queued.count} devices`
     );
+  } catch (err) {
+    console.error("❌ notifyFollowersOfUpdate:", err);
+  }
+}
 
-    // --- Clean invalid tokens
-    const invalid = [];
-    res.responses.forEach((r, i) => {
-      if (!r.success) {
-        const code = r.error?.code || "unknown";
-        if (
-          code === "messaging/invalid-registration-token" ||
-          code === "messaging/registration-token-not-registered"
-        ) {
-          invalid.push(tokens[i]);
-        } else {
-          console.warn("[PUSH][follow] send error:", code);
-        }
+// 📨 Direct push to specific users (matches, status changes, ...).
+// `event` is the preference event (notificationPrefs.js); by default the
+// collection in `data`. Push switch, quiet hours and feed preferences apply.
+export async function notifyUsers(userIds, { title, body, data = {}, collapseKey, event }) {
+  try {
+    const ids = Array.from(new Set((userIds || []).filter(Boolean).map(String)));
+    if (ids.length === 0) return;
+
+    const db = getDB();
+    const users = db.collection("users");
+    const targets = await users
+      .find({
+        user_id: { $in: ids },
+        fcm_tokens: { $exists: true, $ne: [] },
+      })
+      .project({ user_id: 1, fcm_tokens: 1, notificationsEnabled: 1, notificationPrefs: 1 })
+      .toArray();
+
+    const prefEvent = event || { collection: data.collection || null, types: [] };
+    const recipients = new Map(); // token -> user_id
+    let blocked = 0;
+    for (const u of targets) {
+      if (notificationBlockReason(u, prefEvent)) {
+        blocked++;
+        continue;
       }
-    });
-    if (invalid.length > 0) {
-      await users.updateMany(
-        { fcm_tokens: { $in: invalid } },
-        { $pull: { fcm_tokens: { $in: invalid } } }
-      );
-      console.log(`[PUSH][follow] 🧹 Removed ${invalid.length} invalid tokens.`);
+      for (const t of u.fcm_tokens || []) {
+        if (typeof t === "string" && t.length > 10 && !recipients.has(t))
+          recipients.set(t, u.user_id);
+      }
+    }
+    if (recipients.size === 0) {
+      console.log(`[PUSH][direct] ℹ️ No tokens for ${ids.length} user(s) (blocked by prefs: ${blocked})`);
+      return;
     }
+
+    const stringData = Object.fromEntries(
+      Object.entries(data).map(([k, v]) => [k, v == null ? "" : String(v)])
+    );
+
+    const message = {
+      notification: { title, body },
+      data: stringData,
+      android: {
+        priority: "high",
+        ...(collapseKey ? { collapseKey } : {}),
+        notification: { channelId: "alerts", ...(collapseKey ? { tag: collapseKey } : {}) },
+      },
+      apns: {
+        headers: {
+          "apns-priority": "10",
+          ...(collapseKey ? { "apns-collapse-id": collapseKey } : {}),
+        },
+        payload: { aps: { sound: "default" } },
+      },
+    };
+
+    const queued = await enqueueNotification({
+      kind: "direct",
+      message,
+      recipients: Array.from(recipients, ([token, userId]) => ({ token, userId })),
+      meta: { action: stringData.action || null, docId: stringData.docId || null },
+    });
+    console.log(
+      `[PUSH][direct] 📥 ${stringData.action || "push"} queued ${queued.id} for ${queued.count} devices`
+    );
   } catch (err) {
-    console.error("❌ notifyFollowersOfUpdate:", err);
+    console.error("❌ notifyUsers:", err);
   }
 }
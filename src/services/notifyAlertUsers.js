@@ -0,0 +1,263 @@
+/**
+ * /src/services/notifyAlertUsers.js
+ * -------------------------------------------------------------
+ * Push new official alerts (NWS / IPAWS / GDACS / ...) to users
+ * whose lastLocation is inside the alert area.
+ *
+ *   ✅ Severity / urgency threshold (env-configurable)
+ *   ✅ Area = footprint polygon → bbox → radius around display point
+ *   ✅ Mongo-backed send guard (sendOnce) so re-polls never re-send;
+ *      released again when the send fails part-way
+ *   ✅ Deeplink to the alert detail
+ *   ✅ Delivered via the outbox (batches of 500, retries, invalid token
+ *      cleanup — notificationOutbox.js)
+ *   ✅ Per-user preferences: minAlertSeverity, alerts_cap opt-out,
+ *      quiet hours (Extreme alerts override)
+ *   ✅ Severe/Extreme alerts also go out by SMS/email to opted-in users
+ *      without push, or whose push fails (fallbackNotify.js)
+ * -------------------------------------------------------------
+ *
+ * Env knobs:
+ *  - ALERT_PUSH_ENABLED=true|false
+ *  - ALERT_PUSH_MIN_SEVERITY=Severe      (Minor | Moderate | Severe | Extreme)
+ *  - ALERT_PUSH_MIN_URGENCY=Expected     (Past | Future | Expected | Immediate)
+ *  - ALERT_PUSH_POINT_RADIUS_MI=10       (alerts with no footprint/bbox)
+ *  - ALERT_PUSH_GUARD_HOURS=72
+ *  - ALERT_FALLBACK_MIN_SEVERITY=Severe  (SMS/email fallback threshold)
+ */
+
+import { getDB } from "../db.js";
+import { releaseSend, shouldSendNow } from "./sendOnce.js";
+import {
+  haversineDistanceMi,
+  pointInPolygon,
+  geometryBbox,
+  bboxGeoFilter,
+  locationLatLng,
+} from "../utils/geoUtils.js";
+import { notificationBlockReason } from "./notificationPrefs.js";
+import { enqueueNotification } from "./notificationOutbox.js";
+import {
+  FALLBACK_MAX_USERS_PER_EVENT,
+  FALLBACK_USER_PROJECTION,
+  fallbackOptInFilter,
+  noPushFilter,
+  sendFallback,
+} from "./fallbackNotify.js";
+import { detailLink } from "./channels/templates.js";
+
+const ALERT_PUSH_ENABLED =
+  String(process.env.ALERT_PUSH_ENABLED ?? "true").toLowerCase() !== "false";
+const MIN_SEVERITY = process.env.ALERT_PUSH_MIN_SEVERITY || "Severe";
+const MIN_URGENCY = process.env.ALERT_PUSH_MIN_URGENCY || "Expected";
+const POINT_RADIUS_MI = Number(process.env.ALERT_PUSH_POINT_RADIUS_MI || 10);
+const GUARD_MS = Number(process.env.ALERT_PUSH_GUARD_HOURS || 72) * 3600 * 1000;
+const FALLBACK_MIN_SEVERITY = process.env.ALERT_FALLBACK_MIN_SEVERITY || "Severe";
+
+const SEVERITY_RANK = { unknown: 0, minor: 1, moderate: 2, severe: 3, extreme: 4 };
+const URGENCY_RANK = { past: 1, future: 2, expected: 3, immediate: 4 };
+
+function rank(table, value) {
+  return table[String(value || "").trim().toLowerCase()] ?? 0;
+}
+
+/**
+ * Whether an alert clears the push threshold.
+ * Unknown urgency passes (GDACS/Meteoalarm rarely set it); Past never does.
+ */
+export function alertMeetsPushThreshold(alert) {
+  const info = alert?.info || {};
+  if (rank(SEVERITY_RANK, info.severity) < rank(SEVERITY_RANK, MIN_SEVERITY))
+    return false;
+  const urgency = rank(URGENCY_RANK, info.urgency);
+  return urgency === 0 || urgency >= rank(URGENCY_RANK, MIN_URGENCY);
+}
+
+// Returns { bbox, contains(lat, lng) } for the alert's area.
+function alertArea(alert) {
+  if (alert.footprint) {
+    return {
+      bbox: geometryBbox(alert.footprint),
+      contains: (lat, lng) => pointInPolygon(lat, lng, alert.footprint),
+    };
+  }
+
+  if (Array.isArray(alert.bbox) && alert.bbox.length === 4) {
+    const [minLon, minLat, maxLon, maxLat] = alert.bbox;
+    return {
+      bbox: alert.bbox,
+      contains: (lat, lng) =>
+        lat >= minLat && lat <= maxLat && lng >= minLon && lng <= maxLon,
+    };
+  }
+
+  const [lng0, lat0] = alert.geometry?.coordinates || [];
+  if (!Number.isFinite(lat0) || !Number.isFinite(lng0)) return null;
+  const dLat = POINT_RADIUS_MI / 69;
+  const dLng = POINT_RADIUS_MI / (69 * Math.max(0.1, Math.cos((lat0 * Math.PI) / 180)));
+  return {
+    bbox: [lng0 - dLng, lat0 - dLat, lng0 + dLng, lat0 + dLat],
+    contains: (lat, lng) =>
+      haversineDistanceMi(lat0, lng0, lat, lng) <= POINT_RADIUS_MI,
+  };
+}
+
+/**
+ * Notify users inside the area of a newly stored official alert.
+ *
+ * @param {object} alert - alerts_cap document; must contain _id and identifier
+ */
+export async function notifyUsersInAlertArea(alert) {
+  const sendKey = `cap:${alert?.identifier}`;
+  let claimed = false;
+  try {
+    if (!ALERT_PUSH_ENABLED) return;
+    if (!alert?._id || !alert?.identifier) {
+      console.warn("[PUSH][cap] ⚠️ Missing alert _id/identifier, abort.");
+      return;
+    }
+    if (alert.active === false || !alertMeetsPushThreshold(alert)) return;
+
+    const area = alertArea(alert);
+    if (!area?.bbox) {
+      console.warn(`[PUSH][cap] ⚠️ ${alert.identifier} has no usable area; abort.`);
+      return;
+    }
+
+    if (!(await shouldSendNow(sendKey, GUARD_MS))) {
+      console.log(`[PUSH][cap] ⏩ Skipping duplicate send for ${sendKey}`);
+      return;
+    }
+    claimed = true;
+
+    // --- Candidates: bbox prefilter in Mongo, exact area test below ---
+    const db = getDB();
+    const users = db.collection("users");
+    const candidates = await users
+      .find({
+        ...bboxGeoFilter("lastLocation", area.bbox),
+        fcm_tokens: { $exists: true, $ne: [] },
+        notificationsEnabled: { $ne: false },
+      })
+      .project({ user_id: 1, fcm_tokens: 1, lastLocation: 1, notificationPrefs: 1 })
+      .toArray();
+
+    const prefEvent = {
+      collection: "alerts_cap",
+      severity: alert.info?.severity,
+      urgent: String(alert.info?.severity || "").toLowerCase() === "extreme",
+    };
+
+    const recipients = new Map(); // token -> user_id
+    let inside = 0,
+      skippedPrefs = 0;
+    for (const u of candidates) {
+      const loc = locationLatLng(u.lastLocation);
+      if (!loc || !area.contains(loc.lat, loc.lng)) continue;
+      inside++;
+      if (notificationBlockReason(u, prefEvent)) {
+        skippedPrefs++;
+        continue;
+      }
+      for (const t of u.fcm_tokens || []) {
+        if (typeof t === "string" && t.length > 10 && !recipients.has(t))
+          recipients.set(t, u.user_id);
+      }
+    }
+
+    console.log(
+      `[PUSH][cap] ${alert.identifier} candidates=${candidates.length}, inside=${inside}, skippedPrefs=${skippedPrefs}, uniqueTokens=${recipients.size}`
+    );
+
+    const info = alert.info || {};
+    const docId = String(alert._id);
+
+    // --- Severe/Extreme: SMS/email fallback (no push now, failed push later) ---
+    const fallback =
+      rank(SEVERITY_RANK, info.severity) >= rank(SEVERITY_RANK, FALLBACK_MIN_SEVERITY)
+        ? {
+            template: "cap_alert",
+            vars: {
+              severity: info.severity,
+              event: info.event || "Official Alert",
+              headline: info.headline || alert.title || "An official alert covers your location.",
+              area: alert.area?.areaDesc || null,
+              link: detailLink("alerts_cap", docId),
+            },
+            dedupeKey: sendKey,
+            event: prefEvent,
+          }
+        : null;
+    if (fallback) {
+      // Cap on users inside the exact area, not on the bbox prefilter
+      const unreachable = [];
+      const cursor = users
+        .find({
+          $and: [bboxGeoFilter("lastLocation", area.bbox), noPushFilter(), fallbackOptInFilter()],
+        })
+        .project({ ...FALLBACK_USER_PROJECTION, lastLocation: 1 });
+      try {
+        for await (const u of cursor) {
+          const loc = locationLatLng(u.lastLocation);
+          if (!loc || !area.contains(loc.lat, loc.lng)) continue;
+          unreachable.push(u);
+          if (unreachable.length >= FALLBACK_MAX_USERS_PER_EVENT) break;
+        }
+      } finally {
+        await cursor.close();
+      }
+      await sendFallback({ ...fallback, users: unreachable });
+    }
+
+    if (!recipients.size) return;
+
+    // --- Compose notification ---
+    const severity = info.severity || "Unknown";
+    const title = `${severity === "Extreme" ? "🚨" : "⚠️"} ${info.event || "Official Alert"}`;
+    const body =
+      info.headline ||
+      alert.title ||
+      alert.area?.areaDesc ||
+      "An official alert covers your location.";
+    const collapseKey = `cap_${docId}`;
+
+    const message = {
+      notification: { title, body },
+      data: {
+        senderId: "",
+        action: "alert",
+        collection: "alerts_cap",
+        docId,
+        severity: String(severity),
+        deeplink: `disasterhelp://detail?c=alerts_cap&id=${docId}`,
+      },
+      android: {
+        priority: "high",
+        collapseKey,
+        notification: { channelId: "alerts", tag: collapseKey },
+      },
+      apns: {
+        headers: {
+          "apns-priority": "10",
+          "apns-collapse-id": collapseKey,
+        },
+        payload: { aps: { sound: "default" } },
+      },
+    };
+
+    const queued = await enqueueNotification({
+      kind: "alert",
+      dedupeKey: sendKey,
+      message,
+      recipients: Array.from(recipients, ([token, userId]) => ({ token, userId })),
+      meta: { collection: "alerts_cap", docId, identifier: alert.identifier },
+      fallback,
+    });
+    console.log(`[PUSH][cap] 📥 ${alert.identifier} queued ${queued.id} for ${queued.count} devices`);
+  } catch (err) {
+    console.error(`[PUSH][cap] ❌ Error for ${sendKey}:`, err);
+    // Let the next poll retry; the outbox dedupeKey and fallback_deliveries
+    // keep whatever already went out from going out twice
+    if (claimed) await releaseSend(sendKey).catch(() => {});
+  }
+}
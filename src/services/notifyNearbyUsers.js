@@ -7,35 +7,85 @@
  * Improvements:
  *   ✅ Deduplicate FCM tokens across all matched users
  *   ✅ Skip notifying the creator (by user_id & tokens)
- *   ✅ Event-level send guard (TTL) to avoid double-sends
+ *   ✅ Event-level send guard (outbox dedupeKey) to avoid double-sends
  *   ✅ Android collapseKey + notification.tag to coalesce duplicates
  *   ✅ iOS apns-collapse-id to coalesce duplicates
- *   ✅ Clean invalid tokens automatically
+ *   ✅ Delivery, retries + invalid token cleanup via the outbox
+ *      (notificationOutbox.js)
  *   ✅ Robust logging + safe defaults for radius
+ *   ✅ Candidates from a $geoNear on users.lastLocation (2dsphere),
+ *      bounded by NOTIFY_MAX_RADIUS_MI
+ *   ✅ No fan-out for posts hidden or deleted by moderation
+ *   ✅ Per-user preferences: collections/types, quiet hours (emergency
+ *      requests override), per-collection radius (notificationPrefs.js)
+ *   ✅ Nearby offers go to digest-mode users' next digest instead
+ *      (notificationDigest.js)
+ *   ✅ Stored in each notified user's in-app inbox (notificationInbox.js)
+ *   ✅ Emergency requests also go out by SMS/email to opted-in users
+ *      without push, or whose push fails (fallbackNotify.js)
  * -------------------------------------------------------------
  */
 
-import admin from "./firebaseAdmin.js";
 import { getDB } from "../db.js";
-import { haversineDistanceMi } from "../utils/geoUtils.js";
+import { getPostTypeByCollection, visibleFilter } from "../postTypes/index.js";
+import {
+  MAX_NOTIFY_RADIUS_MI,
+  deliveryMode,
+  inboxBlockReason,
+  notificationBlockReason,
+  postNotificationEvent,
+  radiusForCollection,
+} from "./notificationPrefs.js";
+import { enqueueNotification, isNotificationQueued } from "./notificationOutbox.js";
+import { addToDigest } from "./notificationDigest.js";
+import { addToInbox } from "./notificationInbox.js";
+import {
+  FALLBACK_MAX_USERS_PER_EVENT,
+  FALLBACK_USER_PROJECTION,
+  fallbackOptInFilter,
+  noPushFilter,
+  sendFallback,
+} from "./fallbackNotify.js";
+import { detailLink } from "./channels/templates.js";
 
-// --- In-memory send guard (use Redis if you run >1 instance) ---
-const recentlySent = new Map(); // key -> timestamp
-const TTL_MS = 60_000; // 60s dedupe window
 const DEFAULT_RADIUS_MI = Number(process.env.DEFAULT_RADIUS_MI || 200);
+const METERS_PER_MI = 1609.344;
+const CANDIDATE_BATCH_SIZE = 1000;
 
-function _markSent(key) {
-  recentlySent.set(key, Date.now());
-  setTimeout(() => {
-    const ts = recentlySent.get(key);
-    if (ts && Date.now() - ts > TTL_MS) recentlySent.delete(key);
-  }, TTL_MS + 5_000);
+/**
+ * Opted-in SMS/email users push can't reach, inside their own radius of
+ * the event (nearest first).
+ */
+async function fallbackCandidates(collection, near, excludeUserId) {
+  const users = await getDB()
+    .collection("users")
+    .aggregate([
+      {
+        $geoNear: {
+          near,
+          key: "lastLocation",
+          distanceField: "distanceMi",
+          distanceMultiplier: 1 / METERS_PER_MI,
+          maxDistance: MAX_NOTIFY_RADIUS_MI * METERS_PER_MI,
+          spherical: true,
+          query: { $and: [noPushFilter(), fallbackOptInFilter()] },
+        },
+      },
+      { $limit: FALLBACK_MAX_USERS_PER_EVENT },
+      { $project: { ...FALLBACK_USER_PROJECTION, radiusMi: 1, distanceMi: 1 } },
+    ])
+    .toArray();
+  return users.filter(
+    (u) =>
+      String(u.user_id) !== String(excludeUserId ?? "") &&
+      u.distanceMi <= radiusForCollection(u, collection, DEFAULT_RADIUS_MI)
+  );
 }
 
 /**
  * Notify all users within their configured radius of a new event.
  *
- * @param {string} collection - "hazards" | "help_requests" | "offer_help"
+ * @param {string} collection - a post type collection (see src/postTypes)
  * @param {object} doc - The newly created document; must contain _id and geometry/location
  * @param {object} [opts]
  * @param {string} [opts.excludeUserId] - user_id to exclude (usually the creator)
@@ -49,12 +99,20 @@ export async function notifyNearbyUsers(collection, doc, opts = {}) {
       console.warn(`[PUSH][geo] ⚠️ Missing doc._id for ${collection}, abort.`);
       return;
     }
-    const last = recentlySent.get(sendKey);
-    if (last && Date.now() - last < TTL_MS) {
+    if (await isNotificationQueued(sendKey)) {
       console.log(`[PUSH][geo] ⏩ Skipping duplicate send for ${sendKey}`);
       return;
     }
 
+    // --- Hidden/deleted (moderation) before the send → no fan-out ---
+    const visible = await getDB()
+      .collection(collection)
+      .findOne({ _id: doc._id, ...visibleFilter() }, { projection: { _id: 1 } });
+    if (!visible) {
+      console.log(`[PUSH][geo] ⏩ ${collection}/${doc._id} is hidden or deleted; skip.`);
+      return;
+    }
+
     // --- Extract event lat/lng ---
     let eventLat = 0,
       eventLng = 0;
@@ -74,43 +132,62 @@ export async function notifyNearbyUsers(collection, doc, opts = {}) {
       `[PUSH][geo] ▶ ${collection}/${doc._id} at lat=${eventLat}, lng=${eventLng}`
     );
 
-    // --- Load candidate users ---
+    // --- Candidates: $geoNear bounded by the largest permitted radius ---
+    // Streamed in batches; only the resulting tokens are kept in memory.
+    // Users without push still count: they get the in-app inbox item.
     const db = getDB();
     const users = db.collection("users");
 
-    const candidates = await users
-      .find({
-        lastLocation: { $exists: true },
-        fcm_tokens: { $exists: true, $ne: [] },
-      })
-      .project({ user_id: 1, fcm_tokens: 1, lastLocation: 1, radiusMi: 1 })
-      .toArray();
-
-    if (!candidates.length) {
-      console.log("[PUSH][geo] ℹ️ No users with lastLocation + fcm_tokens.");
-      return;
-    }
-
-    // --- Build unique token set within geofence ---
     const excludeUserId = opts.excludeUserId ?? doc.user_id;
     const excludeTokens = new Set(
       (opts.excludeTokens ?? []).filter(
         (t) => typeof t === "string" && t.length > 10
       )
     );
+    const creatorTokens = Array.isArray(doc.fcm_tokens) ? doc.fcm_tokens : [];
+
+    const cursor = users.aggregate(
+      [
+        {
+          $geoNear: {
+            near: { type: "Point", coordinates: [eventLng, eventLat] },
+            key: "lastLocation",
+            distanceField: "distanceMi",
+            distanceMultiplier: 1 / METERS_PER_MI,
+            maxDistance: MAX_NOTIFY_RADIUS_MI * METERS_PER_MI,
+            spherical: true,
+          },
+        },
+        {
+          $project: {
+            user_id: 1,
+            fcm_tokens: 1,
+            notificationsEnabled: 1,
+            radiusMi: 1,
+            notificationPrefs: 1,
+            distanceMi: 1,
+          },
+        },
+      ],
+      { batchSize: CANDIDATE_BATCH_SIZE }
+    );
 
-    const tokenSet = new Set();
+    const prefEvent = postNotificationEvent(collection, doc);
+    const skippedByPref = {};
+    // Offers are the only nearby posts users may take as a digest
+    const digestType = collection === "offer_help" ? "nearby_offer" : null;
+    const digestEntries = [];
+    const inboxUserIds = new Set();
+
+    const recipients = new Map(); // token -> user_id
     let considered = 0,
       inside = 0,
-      skippedNoLoc = 0,
+      outside = 0,
+      noPush = 0,
       skippedCreator = 0,
       skippedDevice = 0;
 
-    for (const u of candidates) {
-      if (!u?.lastLocation?.lat || !u?.lastLocation?.lng) {
-        skippedNoLoc++;
-        continue;
-      }
+    for await (const u of cursor) {
       considered++;
 
       // ✅ Skip the creator
@@ -125,42 +202,60 @@ export async function notifyNearbyUsers(collection, doc, opts = {}) {
 
       // ✅ Skip same physical device (duplicate tokens)
       if (
-        Array.isArray(doc.fcm_tokens) &&
-        doc.fcm_tokens.length > 0 &&
+        creatorTokens.length > 0 &&
         Array.isArray(u.fcm_tokens) &&
-        u.fcm_tokens.some((t) => doc.fcm_tokens.includes(t))
+        u.fcm_tokens.some((t) => creatorTokens.includes(t))
       ) {
         skippedDevice++;
         continue;
       }
 
-      // ✅ Always include events inside user's geofence OR default 200 mi
-      const userRadiusMi = u.radiusMi || DEFAULT_RADIUS_MI;
-      const distMi = haversineDistanceMi(
-        eventLat, eventLng, u.lastLocation.lat, u.lastLocation.lng
-      );
-      if (distMi <= userRadiusMi) inside++;
-      else continue;  // skip only when clearly outside
+      // ✅ User's own geofence (per-collection → radiusMi → default)
+      if (u.distanceMi > radiusForCollection(u, collection, DEFAULT_RADIUS_MI)) {
+        outside++;
+        continue;
+      }
 
-      inside++;
+      // ✅ In-app inbox: collection/type preferences only
+      if (!inboxBlockReason(u, prefEvent)) inboxUserIds.add(String(u.user_id));
+
+      // ✅ Push needs a device and push switched on
+      if (!u.fcm_tokens?.length || u.notificationsEnabled === false) {
+        noPush++;
+        continue;
+      }
+
+      // ✅ User preferences (collections, types, quiet hours)
+      const blocked = notificationBlockReason(u, prefEvent);
+      if (blocked) {
+        skippedByPref[blocked] = (skippedByPref[blocked] || 0) + 1;
+        continue;
+      }
 
+      inside++;
+      if (digestType && deliveryMode(u, digestType, prefEvent) === "digest") {
+        digestEntries.push({ user: u, eventType: digestType, collection, docId: String(doc._id) });
+        continue;
+      }
       for (const t of u.fcm_tokens || []) {
         if (
           typeof t === "string" &&
           t.length > 10 &&
-          !excludeTokens.has(t)
+          !excludeTokens.has(t) &&
+          !recipients.has(t)
         ) {
-          tokenSet.add(t);
+          recipients.set(t, u.user_id);
         }
       }
     }
 
-    const tokens = Array.from(tokenSet);
     console.log(
-      `[PUSH][geo] considered=${considered}, inside=${inside}, skippedCreator=${skippedCreator}, skippedDevice=${skippedDevice}, noLoc=${skippedNoLoc}, uniqueTokens=${tokens.length}`
+      `[PUSH][geo] considered=${considered}, inside=${inside}, outside=${outside}, noPush=${noPush}, skippedCreator=${skippedCreator}, skippedDevice=${skippedDevice}, prefs=${JSON.stringify(skippedByPref)}, digest=${digestEntries.length}, uniqueTokens=${recipients.size}`
     );
+    if (digestEntries.length) await addToDigest(digestEntries);
 
-    if (!tokens.length) {
+    const emergency = doc.emergency === true;
+    if (!inboxUserIds.size && !emergency) {
       console.log(
         `[PUSH][geo] ℹ️ No nearby tokens for ${collection}/${doc._id} — skipping send.`
       );
@@ -168,13 +263,9 @@ export async function notifyNearbyUsers(collection, doc, opts = {}) {
     }
 
     // --- Compose notification ---
-    const titleMap = {
-      hazards: "⚠️ New Hazard Reported Nearby",
-      help_requests: "🚨 Help Request Near You",
-      offer_help: "💚 Offer to Help in Your Area",
-    };
-
-    const title = titleMap[collection] || "📍 New Update in Your Area";
+    const title =
+      getPostTypeByCollection(collection)?.notify?.nearbyTitle ||
+      "📍 New Update in Your Area";
     const body =
       doc.description ||
       doc.message ||
@@ -192,7 +283,6 @@ export async function notifyNearbyUsers(collection, doc, opts = {}) {
         docId: String(doc._id),
         deeplink: `disasterhelp://detail?c=${collection}&id=${doc._id}`,
       },
-      tokens,
       android: {
         priority: "high",
         collapseKey,
@@ -212,36 +302,55 @@ export async function notifyNearbyUsers(collection, doc, opts = {}) {
       },
     };
 
-    const response = await admin.messaging().sendEachForMulticast(message);
-    console.log(
-      `[PUSH][geo] 📤 Sent to ${tokens.length} devices (success: ${response.successCount}, failed: ${response.failureCount})`
-    );
+    await addToInbox([...inboxUserIds], {
+      kind: "nearby",
+      key: sendKey,
+      title,
+      body,
+      data: message.data,
+    });
 
-    // --- Clean invalid tokens ---
-    const invalid = [];
-    response.responses.forEach((r, i) => {
-      if (!r.success) {
-        const code = r.error?.code || "unknown";
-        if (
-          code === "messaging/invalid-registration-token" ||
-          code === "messaging/registration-token-not-registered"
-        ) {
-          invalid.push(tokens[i]);
-        } else {
-          console.warn("[PUSH][geo] send error:", code);
+    // --- Emergency: SMS/email fallback (no push now, failed push later) ---
+    const fallback = emergency
+      ? {
+          template: "emergency_help_request",
+          vars: {
+            text: String(body).slice(0, 200),
+            types: prefEvent.types.join(", "),
+            link: detailLink(collection, doc._id),
+          },
+          dedupeKey: sendKey,
+          event: prefEvent,
         }
-      }
-    });
+      : null;
+    if (fallback) {
+      const near = { type: "Point", coordinates: [eventLng, eventLat] };
+      await sendFallback({
+        ...fallback,
+        users: await fallbackCandidates(collection, near, excludeUserId),
+      });
+    }
 
-    if (invalid.length > 0) {
-      await users.updateMany(
-        { fcm_tokens: { $in: invalid } },
-        { $pull: { fcm_tokens: { $in: invalid } } }
+    if (!recipients.size) {
+      console.log(
+        `[PUSH][geo] ℹ️ No nearby tokens for ${collection}/${doc._id} — skipping send.`
       );
-      console.log(`[PUSH][geo] 🧹 Removed ${invalid.length} invalid tokens.`);
+      return;
     }
 
-    _markSent(sendKey);
+    const queued = await enqueueNotification({
+      kind: "nearby",
+      dedupeKey: sendKey,
+      message,
+      recipients: Array.from(recipients, ([token, userId]) => ({ token, userId })),
+      meta: { collection, docId: String(doc._id) },
+      fallback,
+    });
+    if (queued.duplicate) {
+      console.log(`[PUSH][geo] ⏩ Skipping duplicate send for ${sendKey}`);
+      return;
+    }
+    console.log(`[PUSH][geo] 📥 Queued ${queued.id} for ${queued.count} devices`);
   } catch (err) {
     console.error(`[PUSH][geo] ❌ Error for ${sendKey}:`, err);
   }
@@ -0,0 +1,149 @@
+// src/services/push/apns.js
+// Direct Apple Push Notification service (HTTP/2 + token auth), for iOS
+// builds that register raw APNs device tokens instead of FCM tokens.
+//
+// Env: APNS_KEY (contents of the .p8 key; "\n" escapes allowed),
+//      APNS_KEY_ID, APNS_TEAM_ID, APNS_TOPIC (bundle id),
+//      APNS_PRODUCTION=true|false,
+//      PUSH_TIMEOUT_MS=10000 (per request; also used by webPush.js)
+
+import http2 from "http2";
+import crypto from "crypto";
+
+const KEY = (process.env.APNS_KEY || "").replace(/\\n/g, "\n");
+const KEY_ID = process.env.APNS_KEY_ID;
+const TEAM_ID = process.env.APNS_TEAM_ID;
+const TOPIC = process.env.APNS_TOPIC;
+const HOST =
+  String(process.env.APNS_PRODUCTION ?? "true").toLowerCase() !== "false"
+    ? "https://api.push.apple.com"
+    : "https://api.sandbox.push.apple.com";
+
+const CONFIGURED = Boolean(KEY && KEY_ID && TEAM_ID && TOPIC);
+const JWT_MAX_AGE_MS = 50 * 60 * 1000; // Apple rejects tokens older than 1h
+const CONCURRENCY = 50;
+export const TIMEOUT_MS = Number(process.env.PUSH_TIMEOUT_MS || 10_000);
+
+const INVALID_REASONS = new Set(["BadDeviceToken", "Unregistered", "DeviceTokenNotForTopic"]);
+
+let jwt = { value: null, issuedAt: 0 };
+let session = null;
+
+function providerToken() {
+  if (jwt.value && Date.now() - jwt.issuedAt < JWT_MAX_AGE_MS) return jwt.value;
+  const now = Date.now();
+  const part = (obj) => Buffer.from(JSON.stringify(obj)).toString("base64url");
+  const unsigned = `${part({ alg: "ES256", kid: KEY_ID })}.${part({
+    iss: TEAM_ID,
+    iat: Math.floor(now / 1000),
+  })}`;
+  const signature = crypto
+    .sign("sha256", Buffer.from(unsigned), { key: KEY, dsaEncoding: "ieee-p1363" })
+    .toString("base64url");
+  jwt = { value: `${unsigned}.${signature}`, issuedAt: now };
+  return jwt.value;
+}
+
+function getSession() {
+  if (!session || session.closed || session.destroyed) {
+    session = http2.connect(HOST);
+    session.on("error", (err) => {
+      console.warn("[PUSH][apns] ⚠️ session error:", err.code || err.message);
+      session = null;
+    });
+    session.unref();
+  }
+  return session;
+}
+
+// FCM-shaped message → APNs JSON (data keys sit next to `aps`)
+function apnsBody(message) {
+  const aps = {
+    ...(message.apns?.payload?.aps || {}),
+    alert: {
+      title: message.notification?.title || "",
+      body: message.notification?.body || "",
+    },
+  };
+  return JSON.stringify({ ...(message.data || {}), aps });
+}
+
+function post(token, body, headers) {
+  return new Promise((resolve, reject) => {
+    let settled = false;
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      fn(value);
+    };
+    const req = getSession().request({
+      ":method": "POST",
+      ":path": `/3/device/${token}`,
+      authorization: `bearer ${providerToken()}`,
+      "apns-topic": TOPIC,
+      "apns-push-type": "alert",
+      "content-type": "application/json",
+      ...headers,
+    });
+    let status = 0;
+    let apnsId = null;
+    let data = "";
+    req.setEncoding("utf8");
+    req.on("response", (h) => {
+      status = h[":status"];
+      apnsId = h["apns-id"] || null;
+    });
+    req.on("data", (chunk) => (data += chunk));
+    req.on("end", () => {
+      let reason = null;
+      try {
+        reason = data ? JSON.parse(data).reason : null;
+      } catch {
+        reason = null;
+      }
+      settle(resolve, { status, apnsId, reason });
+    });
+    req.on("error", (err) => settle(reject, err));
+    // A cancelled stream (timeout, session gone) only emits 'close'
+    req.on("close", () => settle(resolve, { status: 0, apnsId: null, reason: "timeout" }));
+    req.setTimeout(TIMEOUT_MS, () => req.close(http2.constants.NGHTTP2_CANCEL));
+    req.end(body);
+  });
+}
+
+function toResult({ status, apnsId, reason }) {
+  if (status === 200) return { status: "sent", messageId: apnsId };
+  const errorCode = `apns/${reason || status}`;
+  if (status === 410 || INVALID_REASONS.has(reason)) return { status: "invalid", errorCode };
+  if (status === 429 || status >= 500 || !status) return { status: "transient", errorCode };
+  return { status: "failed", errorCode };
+}
+
+export default {
+  name: "apns",
+
+  async send(message, targets) {
+    if (!CONFIGURED)
+      return targets.map(() => ({ status: "failed", errorCode: "apns/not-configured" }));
+
+    const body = apnsBody(message);
+    const collapseId = message.apns?.headers?.["apns-collapse-id"];
+    const headers = {
+      "apns-priority": message.apns?.headers?.["apns-priority"] || "10",
+      ...(collapseId ? { "apns-collapse-id": String(collapseId).slice(0, 64) } : {}),
+    };
+
+    const results = [];
+    for (let i = 0; i < targets.length; i += CONCURRENCY) {
+      const chunk = targets.slice(i, i + CONCURRENCY);
+      const settled = await Promise.allSettled(chunk.map((t) => post(t.token, body, headers)));
+      for (const s of settled)
+        results.push(
+          s.status === "fulfilled"
+            ? toResult(s.value)
+            : { status: "transient", errorCode: `apns/${s.reason?.code || "network-error"}` }
+        );
+    }
+    return results;
+  },
+};
@@ -0,0 +1,54 @@
+// src/services/push/capture.js
+// Local stand-in for every transport (PUSH_PROVIDER=capture): records each
+// push instead of sending it, so the whole notification pipeline runs on a
+// laptop without Firebase/APNs/VAPID credentials.
+//
+//   PUSH_CAPTURE_DIR=<dir>  → JSON lines in <dir>/push-captures.jsonl
+//   otherwise               → Mongo push_captures (7-day TTL)
+//
+// Tokens starting with "invalid-" / "transient-" / "failed-" simulate that
+// outcome, to exercise token cleanup and retries.
+
+import crypto from "crypto";
+import path from "path";
+import { appendFile, mkdir } from "fs/promises";
+import { getDB } from "../../db.js";
+
+const CAPTURE_DIR = process.env.PUSH_CAPTURE_DIR || null;
+
+function simulated(token) {
+  for (const status of ["invalid", "transient", "failed"])
+    if (token.startsWith(`${status}-`)) return { status, errorCode: `capture/${status}` };
+  return { status: "sent", messageId: `capture-${crypto.randomUUID()}` };
+}
+
+export default {
+  name: "capture",
+
+  async send(message, targets) {
+    const capturedAt = new Date();
+    const results = targets.map((t) => simulated(t.token));
+    const rows = targets.map((t, i) => ({
+      token: t.token,
+      transport: t.transport || "fcm",
+      message,
+      result: results[i],
+      capturedAt,
+    }));
+
+    if (CAPTURE_DIR) {
+      await mkdir(CAPTURE_DIR, { recursive: true });
+      await appendFile(
+        path.join(CAPTURE_DIR, "push-captures.jsonl"),
+        rows.map((r) => JSON.stringify(r)).join("\n") + "\n"
+      );
+    } else {
+      await getDB().collection("push_captures").insertMany(rows, { ordered: false });
+    }
+
+    console.log(
+      `[PUSH][capture] 📼 "${message.notification?.title || ""}" → ${targets.length} device(s)`
+    );
+    return results;
+  },
+};
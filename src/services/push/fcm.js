@@ -0,0 +1,45 @@
+// src/services/push/fcm.js
+// Firebase Cloud Messaging (Android, iOS via FCM, web via FCM).
+
+import admin from "../firebaseAdmin.js";
+
+const MULTICAST_LIMIT = 500;
+
+const INVALID_TOKEN_CODES = new Set([
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+]);
+// Worth another attempt later (FCM 5xx, throttling, network)
+const TRANSIENT_CODES = new Set([
+  "messaging/internal-error",
+  "messaging/server-unavailable",
+  "messaging/unknown-error",
+  "messaging/message-rate-exceeded",
+  "messaging/device-message-rate-exceeded",
+  "messaging/quota-exceeded",
+  "app/network-error",
+  "app/network-timeout",
+]);
+
+export default {
+  name: "fcm",
+
+  async send(message, targets) {
+    const results = [];
+    for (let i = 0; i < targets.length; i += MULTICAST_LIMIT) {
+      const tokens = targets.slice(i, i + MULTICAST_LIMIT).map((t) => t.token);
+      const res = await admin.messaging().sendEachForMulticast({ ...message, tokens });
+      for (const r of res.responses) {
+        if (r.success) {
+          results.push({ status: "sent", messageId: r.messageId });
+          continue;
+        }
+        const code = r.error?.code || "unknown";
+        if (INVALID_TOKEN_CODES.has(code)) results.push({ status: "invalid", errorCode: code });
+        else if (TRANSIENT_CODES.has(code)) results.push({ status: "transient", errorCode: code });
+        else results.push({ status: "failed", errorCode: code });
+      }
+    }
+    return results;
+  },
+};
@@ -0,0 +1,60 @@
+// src/services/push/index.js
+// Push transports. Every provider implements
+//
+//   name
+//   send(message, targets) → Promise<Result[]>   (same order as targets)
+//
+//   message  FCM-shaped message without tokens
+//            ({ notification, data, android, apns }); providers translate it
+//   target   { token, transport }   (transport from device_tokens)
+//   Result   { status: "sent" | "invalid" | "transient" | "failed",
+//              messageId?, errorCode? }
+//
+// Env: PUSH_PROVIDER=fcm (default: each device's own transport) | capture
+// (every push is recorded locally, nothing leaves the machine)
+
+import fcm from "./fcm.js";
+import apns from "./apns.js";
+import webPush from "./webPush.js";
+import capture from "./capture.js";
+
+export const TRANSPORTS = ["fcm", "apns", "webpush"];
+
+const PROVIDERS = { fcm, apns, webpush: webPush };
+const MODE = String(process.env.PUSH_PROVIDER || "fcm").toLowerCase();
+
+if (MODE === "capture") console.log("📼 PUSH_PROVIDER=capture: pushes are recorded, not sent");
+
+/** Provider for a device transport ("fcm" when unknown) */
+export function providerFor(transport) {
+  if (MODE === "capture") return capture;
+  return PROVIDERS[transport] || fcm;
+}
+
+/**
+ * Send one message to many targets, grouped by provider.
+ * A provider that throws counts as transient for its whole group.
+ * @returns {Promise<object[]>} results in target order
+ */
+export async function deliverPush(message, targets) {
+  const results = new Array(targets.length);
+  const groups = new Map();
+  targets.forEach((t, i) => {
+    const provider = providerFor(t.transport);
+    if (!groups.has(provider)) groups.set(provider, []);
+    groups.get(provider).push(i);
+  });
+
+  for (const [provider, indexes] of groups) {
+    let out;
+    try {
+      out = await provider.send(message, indexes.map((i) => targets[i]));
+    } catch (err) {
+      const code = err?.code || `${provider.name}/send-error`;
+      console.warn(`[PUSH][${provider.name}] ⚠️ send failed (${code})`);
+      out = indexes.map(() => ({ status: "transient", errorCode: code }));
+    }
+    indexes.forEach((i, k) => (results[i] = out[k]));
+  }
+  return results;
+}
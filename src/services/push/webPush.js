@@ -0,0 +1,89 @@
+// src/services/push/webPush.js
+// Standard Web Push (VAPID) for browsers, without going through FCM.
+// The device_tokens record's token is the subscription endpoint; its
+// webPush { p256dh, auth } keys encrypt the payload.
+//
+// Env: VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY,
+//      VAPID_SUBJECT=mailto:admin@disasterhelp.app
+
+import crypto from "crypto";
+import webpush from "web-push";
+import { getDB } from "../../db.js";
+import { TIMEOUT_MS } from "./apns.js";
+
+export const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || null;
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY;
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || "mailto:admin@disasterhelp.app";
+
+const CONFIGURED = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+if (CONFIGURED) webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+
+const CONCURRENCY = 50;
+const TTL_SECONDS = 24 * 3600;
+
+// Topic header: ≤ 32 URL-safe chars, so hash the collapse key
+function topicFor(collapseKey) {
+  return crypto.createHash("sha256").update(String(collapseKey)).digest("base64url").slice(0, 32);
+}
+
+// What the service worker receives
+function payloadFor(message) {
+  return JSON.stringify({
+    title: message.notification?.title || "",
+    body: message.notification?.body || "",
+    tag: message.android?.notification?.tag || null,
+    data: message.data || {},
+  });
+}
+
+function toResult(err) {
+  const status = err?.statusCode;
+  const errorCode = `webpush/${status || err?.code || "network-error"}`;
+  if (status === 404 || status === 410) return { status: "invalid", errorCode };
+  if (!status || status === 429 || status >= 500) return { status: "transient", errorCode };
+  return { status: "failed", errorCode };
+}
+
+export default {
+  name: "webpush",
+
+  async send(message, targets) {
+    if (!CONFIGURED)
+      return targets.map(() => ({ status: "failed", errorCode: "webpush/not-configured" }));
+
+    const records = await getDB()
+      .collection("device_tokens")
+      .find({ token: { $in: targets.map((t) => t.token) } }, { projection: { token: 1, webPush: 1 } })
+      .toArray();
+    const keysByToken = new Map(records.map((r) => [r.token, r.webPush]));
+
+    const payload = payloadFor(message);
+    const collapseKey = message.android?.collapseKey;
+    const options = {
+      TTL: TTL_SECONDS,
+      urgency: "high",
+      timeout: TIMEOUT_MS,
+      ...(collapseKey ? { topic: topicFor(collapseKey) } : {}),
+    };
+
+    const results = [];
+    for (let i = 0; i < targets.length; i += CONCURRENCY) {
+      const chunk = targets.slice(i, i + CONCURRENCY);
+      const settled = await Promise.allSettled(
+        chunk.map((t) => {
+          const keys = keysByToken.get(t.token);
+          if (!keys?.p256dh || !keys?.auth)
+            return Promise.reject(Object.assign(new Error("missing keys"), { statusCode: 410 }));
+          return webpush.sendNotification({ endpoint: t.token, keys }, payload, options);
+        })
+      );
+      for (const s of settled)
+        results.push(
+          s.status === "fulfilled"
+            ? { status: "sent", messageId: s.value?.headers?.location || null }
+            : toResult(s.reason)
+        );
+    }
+    return results;
+  },
+};
@@ -6,6 +6,7 @@ import { getDB } from "../db.js";
  * Works across multiple server instances (uses Mongo as the guard).
  * - Creates/updates a doc in 'sent_events' with lastSentAt.
  * - If another process has already written within the TTL, we skip.
+ * - expiresAt drives the TTL index, so long windows (e.g. CAP alerts) hold.
  */
 export async function shouldSendNow(key, ttlMs = 60_000) {
   const db = getDB();
@@ -17,17 +18,20 @@ export async function shouldSendNow(key, ttlMs = 60_000) {
     // Try an atomic upsert that only succeeds if the doc is stale or missing.
     // If a fresh doc exists (within TTL), the upsert will try to insert and
     // will hit E11000 (duplicate key) — we treat that as "do not send".
-    const res = await coll.findOneAndUpdate(
+    const doc = await coll.findOneAndUpdate(
       {
         _id: key,
         $or: [{ lastSentAt: { $lt: threshold } }, { lastSentAt: { $exists: false } }],
       },
-      { $set: { lastSentAt: now }, $inc: { count: 1 } },
+      {
+        $set: { lastSentAt: now, expiresAt: new Date(now.getTime() + ttlMs) },
+        $inc: { count: 1 },
+      },
       { upsert: true, returnDocument: "after" }
     );
 
-    // If we got a value back, we either inserted or updated a stale doc → OK to send.
-    return !!res.value;
+    // If we got a doc back, we either inserted or updated a stale doc → OK to send.
+    return !!doc;
   } catch (err) {
     // Upsert attempted but doc already exists with a fresh lastSentAt -> duplicate key error.
     if (err && err.code === 11000) {
@@ -38,3 +42,11 @@ export async function shouldSendNow(key, ttlMs = 60_000) {
     return true;
   }
 }
+
+/**
+ * Give a key back after the send it guarded failed, so the next attempt
+ * (e.g. the next poll) can claim it again.
+ */
+export async function releaseSend(key) {
+  await getDB().collection("sent_events").deleteOne({ _id: key });
+}
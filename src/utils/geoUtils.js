@@ -9,3 +9,151 @@ export function haversineDistanceMi(lat1, lon1, lat2, lon2) {
     Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
   return 2 * R * Math.asin(Math.sqrt(a));
 }
+
+// Ray-casting test for one linear ring of [lon, lat] pairs.
+function pointInRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi)
+      inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * True when (lat, lon) falls inside a GeoJSON Polygon or MultiPolygon
+ * (outer ring minus holes). Planar test — fine at alert-area scale.
+ */
+export function pointInPolygon(lat, lon, geometry) {
+  if (!geometry || [lat, lon].some((v) => isNaN(v))) return false;
+  const polygons =
+    geometry.type === "Polygon"
+      ? [geometry.coordinates]
+      : geometry.type === "MultiPolygon"
+      ? geometry.coordinates
+      : [];
+
+  return polygons.some(
+    (rings) =>
+      Array.isArray(rings?.[0]) &&
+      pointInRing(lat, lon, rings[0]) &&
+      !rings.slice(1).some((hole) => pointInRing(lat, lon, hole))
+  );
+}
+
+/** [minLon, minLat, maxLon, maxLat] of a Polygon/MultiPolygon, or null. */
+export function geometryBbox(geometry) {
+  if (!geometry?.coordinates) return null;
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  let minLon = Infinity,
+    minLat = Infinity,
+    maxLon = -Infinity,
+    maxLat = -Infinity;
+  for (const rings of polygons)
+    for (const [lon, lat] of rings?.[0] || []) {
+      minLon = Math.min(minLon, lon);
+      minLat = Math.min(minLat, lat);
+      maxLon = Math.max(maxLon, lon);
+      maxLat = Math.max(maxLat, lat);
+    }
+  return Number.isFinite(minLon) ? [minLon, minLat, maxLon, maxLat] : null;
+}
+
+/**
+ * Parse "minLon,minLat,maxLon,maxLat" into numbers, or null when invalid.
+ * minLon > maxLon is allowed and means the box crosses the antimeridian.
+ */
+export function parseBbox(value) {
+  const parts = String(value || "").split(",").map(Number);
+  if (parts.length !== 4 || parts.some((v) => !Number.isFinite(v))) return null;
+  const [minLon, minLat, maxLon, maxLat] = parts;
+  if (Math.abs(minLon) > 180 || Math.abs(maxLon) > 180) return null;
+  if (Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || minLat >= maxLat)
+    return null;
+  return parts;
+}
+
+// Box → closed rings no wider than 90° lon, with the lat edges densified
+// every degree so the great-circle edges stay close to the parallels.
+function bboxRings([minLon, minLat, maxLon, maxLat]) {
+  const lat0 = Math.max(minLat, -89.999);
+  const lat1 = Math.min(maxLat, 89.999);
+  const spans =
+    minLon <= maxLon ? [[minLon, maxLon]] : [[minLon, 180], [-180, maxLon]];
+
+  const rings = [];
+  for (const [a, b] of spans) {
+    for (let start = a; start < b; start += 90) {
+      const end = Math.min(b, start + 90);
+      const south = [];
+      for (let x = start; x < end; x += 1) south.push([x, lat0]);
+      south.push([end, lat0]);
+      const north = south.map(([x]) => [x, lat1]).reverse();
+      rings.push([...south, ...north, south[0]]);
+    }
+  }
+  return rings;
+}
+
+/**
+ * Mongo filter for Point docs whose `geoField` falls inside the bbox:
+ * indexed $geoWithin on the box plus an exact coordinate range check.
+ */
+export function bboxGeoFilter(geoField, bbox) {
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const within = bboxRings(bbox).map((ring) => ({
+    [geoField]: {
+      $geoWithin: { $geometry: { type: "Polygon", coordinates: [ring] } },
+    },
+  }));
+
+  const lonField = `${geoField}.coordinates.0`;
+  const latField = `${geoField}.coordinates.1`;
+  const lonRange =
+    minLon <= maxLon
+      ? { [lonField]: { $gte: minLon, $lte: maxLon } }
+      : { $or: [{ [lonField]: { $gte: minLon } }, { [lonField]: { $lte: maxLon } }] };
+
+  return {
+    $and: [
+      within.length === 1 ? within[0] : { $or: within },
+      lonRange,
+      { [latField]: { $gte: minLat, $lte: maxLat } },
+    ],
+  };
+}
+
+/** The bbox as a GeoJSON MultiPolygon, for $geoIntersects against areas. */
+export function bboxGeometry(bbox) {
+  return { type: "MultiPolygon", coordinates: bboxRings(bbox).map((r) => [r]) };
+}
+
+/** Web Mercator tile z/x/y → [minLon, minLat, maxLon, maxLat]. */
+export function tileBbox(z, x, y) {
+  const n = 2 ** z;
+  const lon = (i) => (i / n) * 360 - 180;
+  const lat = (j) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * j) / n))) * 180) / Math.PI;
+  return [lon(x), lat(y + 1), lon(x + 1), lat(y)];
+}
+
+/** GeoJSON Point for a lat/lng pair (stored users.lastLocation shape). */
+export function toGeoPoint(lat, lng) {
+  return { type: "Point", coordinates: [lng, lat] };
+}
+
+/**
+ * { lat, lng } from a stored location: a GeoJSON Point or the legacy
+ * { lat, lng } object (users not yet migrated). null when neither.
+ */
+export function locationLatLng(loc) {
+  if (loc?.type === "Point" && Array.isArray(loc.coordinates)) {
+    const [lng, lat] = loc.coordinates;
+    if (Number.isFinite(lat) && Number.isFinite(lng)) return { lat, lng };
+    return null;
+  }
+  if (Number.isFinite(loc?.lat) && Number.isFinite(loc?.lng)) return { lat: loc.lat, lng: loc.lng };
+  return null;
+}
@@ -0,0 +1,179 @@
+// src/utils/pagination.js
+//
+// Opaque cursor pagination + shared list filters for every list/near route.
+//
+// Query params (all optional):
+//   limit     page size (capped per route)
+//   cursor    nextCursor from the previous page
+//   types     comma list (or `type`)          → spec.typesField $in
+//   resolved  true|false                      → spec.resolvedField
+//   emergency true|false                      → spec.emergencyField
+//   since     ISO date, inclusive             → spec.timeField $gte
+//   until     ISO date, inclusive             → spec.timeField $lte
+//   severity  comma list                      → spec.severityField $in
+//   source    comma list                      → spec.sourceField $in
+//
+// A filter the resource has no field for is rejected (400) rather than
+// silently ignored (the result also carries `unsupported: <param>` so
+// multi-resource callers can skip that resource instead). Helpers return
+// { error } instead of throwing.
+
+import { ObjectId } from "mongodb";
+
+function getPath(doc, path) {
+  return path.split(".").reduce((v, k) => (v == null ? v : v[k]), doc);
+}
+
+function csv(v) {
+  return String(v || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+function parseBool(v) {
+  const s = String(v).toLowerCase();
+  if (s === "true" || s === "1") return true;
+  if (s === "false" || s === "0") return false;
+  return null;
+}
+
+// "severe" → "Severe" (CAP severities are capitalized)
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1).toLowerCase();
+}
+
+/** Opaque cursor for the last doc of a page (sort value + _id). */
+export function encodeCursor(doc, sortField) {
+  const value = getPath(doc, sortField);
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    d: value instanceof Date,
+    id: String(doc._id),
+    o: doc._id instanceof ObjectId,
+  };
+  return Buffer.from(JSON.stringify(payload)).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const p = JSON.parse(Buffer.from(String(cursor), "base64url").toString("utf8"));
+    if (!p || typeof p.id !== "string") return null;
+    const value = p.d ? new Date(p.v) : p.v;
+    if (p.d && isNaN(value.getTime())) return null;
+    return { value, id: p.o ? new ObjectId(p.id) : p.id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Mongo filter from the shared query params.
+ * spec: { timeField, typesField?, resolvedField?, emergencyField?,
+ *         severityField?, sourceField? }
+ */
+export function buildListFilter(query = {}, spec) {
+  const filter = {};
+
+  const unsupported = (name) => ({
+    error: `Filter "${name}" is not supported for this resource.`,
+    unsupported: name,
+  });
+
+  const types = csv(query.types || query.type);
+  if (types.length) {
+    if (!spec.typesField) return unsupported("types");
+    filter[spec.typesField] = { $in: types };
+  }
+
+  if (query.resolved !== undefined) {
+    if (!spec.resolvedField) return unsupported("resolved");
+    const b = parseBool(query.resolved);
+    if (b === null) return { error: "resolved must be true or false." };
+    filter[spec.resolvedField] = b ? true : { $ne: true };
+  }
+
+  if (query.emergency !== undefined) {
+    if (!spec.emergencyField) return unsupported("emergency");
+    const b = parseBool(query.emergency);
+    if (b === null) return { error: "emergency must be true or false." };
+    filter[spec.emergencyField] = b ? true : { $ne: true };
+  }
+
+  if (query.since !== undefined || query.until !== undefined) {
+    const range = {};
+    for (const [param, op] of [["since", "$gte"], ["until", "$lte"]]) {
+      if (query[param] === undefined) continue;
+      const d = new Date(query[param]);
+      if (isNaN(d.getTime())) return { error: `${param} must be an ISO date.` };
+      range[op] = d;
+    }
+    filter[spec.timeField] = range;
+  }
+
+  const severity = csv(query.severity);
+  if (severity.length) {
+    if (!spec.severityField) return unsupported("severity");
+    filter[spec.severityField] = { $in: severity.map(capitalize) };
+  }
+
+  const source = csv(query.source);
+  if (source.length) {
+    if (!spec.sourceField) return unsupported("source");
+    filter[spec.sourceField] = { $in: source };
+  }
+
+  return { filter };
+}
+
+/**
+ * One page of `coll` matching `filter`, newest first by sortField then _id.
+ * Returns { items, nextCursor } or { error }.
+ */
+export async function paginate(
+  coll,
+  filter,
+  { query = {}, sortField, defaultLimit = 100, maxLimit = 500, projection }
+) {
+  const limit = Math.min(
+    maxLimit,
+    Math.max(1, parseInt(query.limit, 10) || defaultLimit)
+  );
+
+  const clauses = [filter];
+  if (query.cursor) {
+    const c = decodeCursor(query.cursor);
+    if (!c) return { error: "Invalid cursor." };
+    const after = [
+      { [sortField]: { $lt: c.value } },
+      { [sortField]: c.value, _id: { $lt: c.id } },
+    ];
+    // Missing/null sort values sort last in a descending sort
+    if (c.value !== null) after.push({ [sortField]: null });
+    clauses.push({ $or: after });
+  }
+
+  const docs = await coll
+    .find(clauses.length > 1 ? { $and: clauses } : filter, projection ? { projection } : {})
+    .sort({ [sortField]: -1, _id: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null,
+  };
+}
+
+/** $geoWithin circle for /near routes (sortable, unlike $nearSphere) */
+export function withinRadius(geoField, lat, lng, radiusKm) {
+  return {
+    [geoField]: {
+      $geoWithin: {
+        $centerSphere: [[lng, lat], Math.min(Math.PI, radiusKm / 6378.1)],
+      },
+    },
+  };
+}
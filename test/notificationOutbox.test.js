@@ -0,0 +1,99 @@
+// test/notificationOutbox.test.js
+// End to end through the outbox with the capture provider: nothing leaves
+// the machine, deliveries and captures land in a throwaway database.
+//
+//   MONGO_TEST_URI=mongodb://localhost:27017 npm test
+//
+// Skipped when MONGO_TEST_URI is not set (never runs against MONGO_URI).
+
+import { after, before, test } from "node:test";
+import assert from "node:assert/strict";
+
+const MONGO_TEST_URI = process.env.MONGO_TEST_URI;
+const skip = !MONGO_TEST_URI && "MONGO_TEST_URI not set";
+
+let db;
+let outbox;
+
+before(async () => {
+  if (skip) return;
+  process.env.MONGO_URI = MONGO_TEST_URI;
+  process.env.MONGO_DB_NAME = `disaster_help_test_${process.pid}`;
+  process.env.PUSH_PROVIDER = "capture";
+  delete process.env.PUSH_CAPTURE_DIR;
+
+  const { connectDB, getDB } = await import("../src/db.js");
+  await connectDB();
+  db = getDB();
+  const { ensureIndexes } = await import("../src/db/indexes.mjs");
+  await ensureIndexes();
+  outbox = await import("../src/services/notificationOutbox.js");
+});
+
+after(async () => {
+  if (skip) return;
+  await db.dropDatabase();
+  const { closeDB } = await import("../src/db.js");
+  await closeDB();
+});
+
+test("enqueue → drain sends through the capture provider", { skip }, async () => {
+  await db.collection("device_tokens").insertMany([
+    { user_id: "u1", token: "capture-token-ios-0001", transport: "apns" },
+    { user_id: "u2", token: "invalid-token-0000002", transport: "fcm" },
+    { user_id: "u3", token: "capture-token-web-0003", transport: "webpush" },
+  ]);
+
+  const message = {
+    notification: { title: "Test push", body: "Hello" },
+    data: { collection: "help_requests", docId: "abc" },
+  };
+  const queued = await outbox.enqueueNotification({
+    kind: "direct",
+    dedupeKey: "test:direct:abc",
+    message,
+    recipients: [
+      { token: "capture-token-ios-0001", userId: "u1" },
+      { token: "invalid-token-0000002", userId: "u2" },
+      { token: "capture-token-web-0003", userId: "u3" },
+      { token: "capture-token-ios-0001", userId: "u1" },
+    ],
+    meta: { collection: "help_requests", docId: "abc" },
+  });
+  assert.equal(queued.count, 3);
+
+  const again = await outbox.enqueueNotification({
+    kind: "direct",
+    dedupeKey: "test:direct:abc",
+    message,
+    recipients: [{ token: "capture-token-ios-0001", userId: "u1" }],
+    meta: { collection: "help_requests" },
+  });
+  assert.equal(again.count, 0);
+
+  await outbox.drainNotificationOutbox();
+
+  const entry = await db.collection("notification_outbox").findOne({ _id: queued.id });
+  assert.equal(entry.status, "sent");
+  assert.deepEqual(entry.counts, { pending: 0, sent: 2, invalid: 1, failed: 0 });
+
+  const rows = await db
+    .collection("notification_deliveries")
+    .find({ notificationId: queued.id }, { sort: { userId: 1 } })
+    .toArray();
+  assert.deepEqual(
+    rows.map((d) => [d.userId, d.transport, d.status]),
+    [
+      ["u1", "apns", "sent"],
+      ["u2", "fcm", "invalid"],
+      ["u3", "webpush", "sent"],
+    ]
+  );
+
+  const captures = await db.collection("push_captures").find().toArray();
+  assert.equal(captures.length, 3);
+  assert.ok(captures.every((c) => c.message.notification.title === "Test push"));
+
+  // Invalid token pruned from the registry
+  assert.equal(await db.collection("device_tokens").countDocuments({ user_id: "u2" }), 0);
+});